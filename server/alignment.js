@@ -0,0 +1,296 @@
+import { estimateWordTimings } from './wordTiming.js';
+
+// Forced alignment of a known script to recognized words: the script supplies the text,
+// the recognizer supplies the timings. Words found once in both lists are pinned to each other first,
+// and the stretches between them are aligned by edit distance.
+
+// Two words count as the same when their spellings are at least this similar
+const MATCH_THRESHOLD = 0.6;
+
+// Alignment scores
+const GAP_SCORE = -1;
+const SUBSTITUTION_SCORE = -0.5;
+
+// Backtracking moves. Ties go to the diagonal, so a misheard word is paired rather than skipped.
+const MOVE_DIAGONAL = 1;
+const MOVE_SKIP_SCRIPT = 2;
+const MOVE_SKIP_RECOGNIZED = 3;
+
+// Lowercase letters, marks and digits only, so "Hello," matches "hello"
+export const normalizeWord = (word) => word.toLowerCase().normalize('NFC').replace(/[^\p{L}\p{M}\p{N}]/gu, '');
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+const getSimilarity = (a, b) => {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+
+  const longest = Math.max(a.length, b.length);
+  // Too different in length to reach the threshold, skip the edit distance
+  if (Math.min(a.length, b.length) / longest < MATCH_THRESHOLD) return 0;
+
+  return 1 - levenshtein(a, b) / longest;
+};
+
+// Recognized words each script word is compared with, on either side of the diagonal of the stretch
+// being aligned. Stretches between anchors are far narrower; only a long script that shares almost no
+// exact words with the recording is aligned within the band rather than exactly.
+const BAND = 100;
+
+// Edit-distance alignment of script[i0..i1) with recognized[j0..j1), written into pairs. Each row of
+// the table only holds the cells within BAND of the diagonal, so time and memory grow with the length
+// of the stretch rather than its square.
+const alignStretch = (script, recognized, [i0, i1], [j0, j1], pairs) => {
+  const n = i1 - i0;
+  const m = j1 - j0;
+
+  if (n === 0 || m === 0) {
+    return;
+  }
+
+  // Row i covers columns lo..hi; each row starts no later than the one before ends, so a path always exists
+  const rows = [];
+  for (let i = 0, previousHi = 0; i <= n; i++) {
+    const center = Math.round((i * m) / n);
+    const lo = Math.max(0, Math.min(center - BAND, previousHi));
+    const hi = Math.min(m, center + BAND);
+
+    rows.push({ lo, hi, scores: new Float64Array(hi - lo + 1), moves: new Uint8Array(hi - lo + 1) });
+    previousHi = hi;
+  }
+
+  const scoreAt = (i, j) => (j < rows[i].lo || j > rows[i].hi ? -Infinity : rows[i].scores[j - rows[i].lo]);
+
+  for (let i = 0; i <= n; i++) {
+    const { lo, hi, scores, moves } = rows[i];
+
+    for (let j = lo; j <= hi; j++) {
+      if (i === 0 && j === 0) continue;
+
+      const similarity = i > 0 && j > 0 ? getSimilarity(script[i0 + i - 1], recognized[j0 + j - 1]) : 0;
+      const diagonal = i > 0 && j > 0
+        ? scoreAt(i - 1, j - 1) + (similarity >= MATCH_THRESHOLD ? 2 * similarity : SUBSTITUTION_SCORE)
+        : -Infinity;
+      const skipScript = i > 0 ? scoreAt(i - 1, j) + GAP_SCORE : -Infinity;
+      const skipRecognized = j > lo ? scores[j - 1 - lo] + GAP_SCORE : -Infinity;
+
+      if (diagonal >= skipScript && diagonal >= skipRecognized) {
+        scores[j - lo] = diagonal;
+        moves[j - lo] = MOVE_DIAGONAL;
+      } else if (skipScript >= skipRecognized) {
+        scores[j - lo] = skipScript;
+        moves[j - lo] = MOVE_SKIP_SCRIPT;
+      } else {
+        scores[j - lo] = skipRecognized;
+        moves[j - lo] = MOVE_SKIP_RECOGNIZED;
+      }
+    }
+  }
+
+  let i = n;
+  let j = m;
+
+  while (i > 0 || j > 0) {
+    const move = rows[i].moves[j - rows[i].lo];
+
+    if (move === MOVE_DIAGONAL) {
+      pairs[i0 + i - 1] = {
+        recognizedIndex: j0 + j - 1,
+        matched: getSimilarity(script[i0 + i - 1], recognized[j0 + j - 1]) >= MATCH_THRESHOLD
+      };
+      i -= 1;
+      j -= 1;
+    } else if (move === MOVE_SKIP_SCRIPT) {
+      i -= 1;
+    } else {
+      j -= 1;
+    }
+  }
+};
+
+// Positions of the words that occur exactly once in words[from..to)
+const findUniqueWords = (words, from, to) => {
+  const positions = new Map();
+
+  for (let index = from; index < to; index++) {
+    if (words[index]) {
+      positions.set(words[index], positions.has(words[index]) ? -1 : index);
+    }
+  }
+
+  return positions;
+};
+
+// Anchors: words spelled the same and found exactly once in both stretches, kept only where they
+// appear in the same order in both (the longest such run, as in patience diff). Returns [[i, j], ...].
+const findAnchors = (script, recognized, [i0, i1], [j0, j1]) => {
+  const inScript = findUniqueWords(script, i0, i1);
+  const inRecognized = findUniqueWords(recognized, j0, j1);
+  const candidates = [];
+
+  inScript.forEach((i, word) => {
+    const j = inRecognized.get(word);
+    if (i !== -1 && j !== undefined && j !== -1) {
+      candidates.push([i, j]);
+    }
+  });
+  candidates.sort((a, b) => a[0] - b[0]);
+
+  // Longest increasing run of recognized positions, by patience sorting
+  const tails = [];
+  const previous = new Array(candidates.length);
+
+  candidates.forEach(([, j], index) => {
+    let low = 0;
+    let high = tails.length;
+
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (candidates[tails[middle]][1] < j) low = middle + 1;
+      else high = middle;
+    }
+
+    previous[index] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = index;
+  });
+
+  const anchors = [];
+  for (let index = tails.length > 0 ? tails[tails.length - 1] : -1; index !== -1; index = previous[index]) {
+    anchors.unshift(candidates[index]);
+  }
+
+  return anchors;
+};
+
+// Align a stretch by pinning its anchors first, then aligning what lies between them the same way.
+// Only stretches with no anchors left go through the edit-distance table.
+const alignRange = (script, recognized, [i0, i1], [j0, j1], pairs) => {
+  if (i0 === i1 || j0 === j1) {
+    return;
+  }
+
+  const anchors = findAnchors(script, recognized, [i0, i1], [j0, j1]);
+
+  if (anchors.length === 0) {
+    alignStretch(script, recognized, [i0, i1], [j0, j1], pairs);
+    return;
+  }
+
+  let i = i0;
+  let j = j0;
+
+  anchors.forEach(([anchorI, anchorJ]) => {
+    alignRange(script, recognized, [i, anchorI], [j, anchorJ], pairs);
+    pairs[anchorI] = { recognizedIndex: anchorJ, matched: true };
+    i = anchorI + 1;
+    j = anchorJ + 1;
+  });
+
+  alignRange(script, recognized, [i, i1], [j, j1], pairs);
+};
+
+// Pair script words with recognized words. Returns, for each script word, the index of the
+// recognized word it lines up with (or -1) and whether the spellings actually matched.
+const alignWords = (scriptWords, recognizedWords) => {
+  const script = scriptWords.map(normalizeWord);
+  const recognized = recognizedWords.map((word) => normalizeWord(word.word));
+  const pairs = scriptWords.map(() => ({ recognizedIndex: -1, matched: false }));
+
+  alignRange(script, recognized, [0, script.length], [0, recognized.length], pairs);
+  return pairs;
+};
+
+// Script words with no recognized counterpart share the time between their timed neighbours
+const fillUntimedWords = (words, duration) => {
+  let index = 0;
+
+  while (index < words.length) {
+    if (words[index].start !== null) {
+      index += 1;
+      continue;
+    }
+
+    let runEnd = index;
+    while (runEnd < words.length && words[runEnd].start === null) {
+      runEnd += 1;
+    }
+
+    const from = index > 0 ? words[index - 1].end : 0;
+    const to = runEnd < words.length ? words[runEnd].start : Math.max(from, duration);
+    const estimates = estimateWordTimings(words.slice(index, runEnd).map((word) => word.word).join(' '), from, to);
+
+    estimates.forEach((estimate, offset) => {
+      words[index + offset].start = estimate.start;
+      words[index + offset].end = estimate.end;
+    });
+
+    index = runEnd;
+  }
+
+  return words;
+};
+
+// Align a plain-text script (one caption per line) to recognized, timed words.
+// Returns the script as captions with word timings, plus the script words that could not be matched.
+export const alignScript = (script, recognizedWords) => {
+  const lines = script
+    .split(/\r?\n/)
+    .map((line) => line.trim().split(/\s+/).filter((word) => word.length > 0))
+    .filter((line) => line.length > 0);
+  const scriptWords = lines.flat();
+  const pairs = alignWords(scriptWords, recognizedWords);
+  const duration = recognizedWords.length > 0 ? recognizedWords[recognizedWords.length - 1].end : 0;
+
+  const words = fillUntimedWords(scriptWords.map((word, index) => {
+    const recognized = recognizedWords[pairs[index].recognizedIndex];
+    return {
+      word,
+      start: recognized ? recognized.start : null,
+      end: recognized ? recognized.end : null,
+      ...(recognized && pairs[index].matched && recognized.probability != null && { probability: recognized.probability })
+    };
+  }), duration);
+
+  // "heard" is what the recognizer said at that spot, if anything
+  const unmatched = words
+    .map((word, index) => ({
+      index,
+      word: word.word,
+      start: word.start,
+      end: word.end,
+      heard: recognizedWords[pairs[index].recognizedIndex]?.word || null
+    }))
+    .filter(({ index }) => !pairs[index].matched);
+
+  let offset = 0;
+  const captions = lines.map((line, index) => {
+    const lineWords = words.slice(offset, offset + line.length);
+    offset += line.length;
+
+    return {
+      id: index + 1,
+      start: lineWords[0].start,
+      end: lineWords[lineWords.length - 1].end,
+      text: line.join(' '),
+      words: lineWords
+    };
+  });
+
+  return { captions, unmatched };
+};
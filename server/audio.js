@@ -0,0 +1,59 @@
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { v4 as uuidv4 } from 'uuid';
+import { spawn } from 'child_process';
+
+// Function to extract audio from video using ffmpeg. Each extraction gets its own temporary file,
+// so jobs working on the same video never share one.
+export const extractAudioFromVideo = async (videoPath, { signal } = {}) => {
+  const audioPath = path.join(os.tmpdir(), `captions-${uuidv4()}.wav`);
+  
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn('ffmpeg', [
+      '-i', videoPath,
+      '-ar', '16000',  // 16kHz sample rate for Whisper
+      '-ac', '1',      // Mono channel
+      '-c:a', 'pcm_s16le', // PCM 16-bit little-endian
+      '-y',            // Overwrite output file
+      audioPath
+    ], { signal });
+
+    ffmpeg.stderr.on('data', (data) => {
+      console.log(`ffmpeg: ${data}`);
+    });
+
+    ffmpeg.on('close', (code) => {
+      if (code === 0) {
+        resolve(audioPath);
+      } else {
+        fs.unlink(audioPath).catch(() => {});
+        reject(new Error(`ffmpeg exited with code ${code}`));
+      }
+    });
+
+    ffmpeg.on('error', (error) => {
+      reject(error);
+    });
+  });
+};
+
+// The audio of a video for one job: extracted the first time a stage asks for it, shared by the
+// stages after it (transcription, speech detection, diarization) and deleted by release()
+export const createAudioSource = (videoPath, { signal } = {}) => {
+  let extraction = null;
+
+  return {
+    getAudioPath: () => {
+      extraction = extraction || extractAudioFromVideo(videoPath, { signal });
+      return extraction;
+    },
+    release: async () => {
+      const audioPath = extraction && await extraction.catch(() => null);
+
+      if (audioPath) {
+        await fs.unlink(audioPath).catch(() => {});
+      }
+    }
+  };
+};
@@ -0,0 +1,88 @@
+import path from 'path';
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Transcriptions are cached on disk by the content of the media and the parameters that produced them,
+// so the same file transcribed again (or uploaded again) skips ffmpeg and the engine.
+// Layout: cache/<media hash>/<parameter hash>.json
+export const cacheDir = path.join(__dirname, '../cache');
+fs.ensureDirSync(cacheDir);
+
+// Bump when the stored transcription format changes
+const CACHE_VERSION = 1;
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+// Hashing a long video takes a while, so remember hashes until the file changes
+const mediaHashes = new Map();
+
+export const hashMedia = async (filePath) => {
+  const { size, mtimeMs } = await fs.stat(filePath);
+  const known = mediaHashes.get(filePath);
+
+  if (known && known.size === size && known.mtimeMs === mtimeMs) {
+    return known.hash;
+  }
+
+  const hash = await new Promise((resolve, reject) => {
+    const digest = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', (chunk) => digest.update(chunk))
+      .on('end', () => resolve(digest.digest('hex')))
+      .on('error', reject);
+  });
+
+  mediaHashes.set(filePath, { size, mtimeMs, hash });
+  return hash;
+};
+
+// params: { provider, model, language, prompt }. Segmentation, speech detection, script alignment and
+// glossary replacements run on the cached transcription, so their options aren't part of the key.
+// Keys are listed so their order is stable; a missing prompt leaves the key as it was before prompts.
+const getEntryPath = (mediaHash, { provider, model = null, language, prompt = null }) => {
+  const key = sha256(JSON.stringify({ version: CACHE_VERSION, provider, model, language, ...(prompt && { prompt }) }));
+  return path.join(cacheDir, mediaHash, `${key}.json`);
+};
+
+// The cached { text, language, segments } for these parameters, or null
+export const readCachedTranscription = async (mediaHash, params) => {
+  const entryPath = getEntryPath(mediaHash, params);
+
+  if (!(await fs.pathExists(entryPath))) {
+    return null;
+  }
+
+  try {
+    const entry = await fs.readJson(entryPath);
+    return entry.transcription;
+  } catch (error) {
+    // A half-written entry is a miss
+    console.error('Ignoring unreadable cache entry:', error.message);
+    return null;
+  }
+};
+
+export const writeCachedTranscription = async (mediaHash, params, transcription) => {
+  const entryPath = getEntryPath(mediaHash, params);
+
+  await fs.ensureDir(path.dirname(entryPath));
+  await fs.writeJson(entryPath, { params, createdAt: new Date().toISOString(), transcription });
+};
+
+// Drop every cached transcription of one media file. Returns how many were removed.
+export const clearCachedTranscriptions = async (mediaHash) => {
+  const mediaDir = path.join(cacheDir, mediaHash);
+
+  if (!(await fs.pathExists(mediaDir))) {
+    return 0;
+  }
+
+  const entries = (await fs.readdir(mediaDir)).filter((name) => name.endsWith('.json'));
+  await fs.remove(mediaDir);
+
+  return entries.length;
+};
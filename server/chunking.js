@@ -0,0 +1,128 @@
+import { normalizeWord } from './alignment.js';
+
+// Long recordings are transcribed in overlapping chunks. Chunks are cut in silences where possible,
+// and the words from neighbouring chunks are stitched back together where they overlap.
+
+export const DEFAULT_CHUNK_OPTIONS = {
+  chunkDuration: 120, // target seconds per chunk
+  overlap: 4, // seconds shared by neighbouring chunks
+  searchWindow: 20 // how far before the target a cut may move to land in a silence
+};
+
+// The same word in two chunks can be timed this far apart (seconds)
+const MAX_WORD_DRIFT = 1;
+
+const resolveOptions = (options = {}) => Object.fromEntries(
+  Object.entries(DEFAULT_CHUNK_OPTIONS).map(([key, fallback]) => {
+    const value = Number(options[key]);
+    return [key, Number.isFinite(value) && value > 0 ? value : fallback];
+  })
+);
+
+// The silences between speech regions, including before the first and after the last
+const getSilences = (duration, regions) => {
+  const bounds = [0, ...regions.flatMap((region) => [region.start, region.end]), duration];
+  const silences = [];
+
+  for (let i = 0; i < bounds.length; i += 2) {
+    if (bounds[i + 1] > bounds[i]) {
+      silences.push({ start: bounds[i], end: bounds[i + 1] });
+    }
+  }
+
+  return silences;
+};
+
+// Split audio of the given length into chunks: [{ start, end, from, to }]. start/end include the overlap,
+// from/to are the cut points. Each cut goes in the middle of the longest silence in the search window
+// before the target length, or at the target when there is none.
+export const planChunks = (duration, regions = [], options = {}) => {
+  const settings = resolveOptions(options);
+
+  if (duration <= settings.chunkDuration + settings.searchWindow) {
+    return [{ start: 0, end: duration, from: 0, to: duration }];
+  }
+
+  const silences = getSilences(duration, regions);
+  const cuts = [0];
+
+  while (duration - cuts[cuts.length - 1] > settings.chunkDuration + settings.searchWindow) {
+    const target = cuts[cuts.length - 1] + settings.chunkDuration;
+    const best = silences
+      .map((silence) => ({ middle: (silence.start + silence.end) / 2, length: silence.end - silence.start }))
+      .filter(({ middle }) => middle >= target - settings.searchWindow && middle <= target)
+      .reduce((longest, silence) => (!longest || silence.length > longest.length ? silence : longest), null);
+
+    cuts.push(best ? best.middle : target);
+  }
+
+  cuts.push(duration);
+
+  return cuts.slice(0, -1).map((from, index) => {
+    const to = cuts[index + 1];
+    return {
+      start: Math.max(0, from - settings.overlap / 2),
+      end: Math.min(duration, to + settings.overlap / 2),
+      from,
+      to
+    };
+  });
+};
+
+// Longest run of words said in both lists at about the same time: { previousIndex, nextIndex, length }
+const findCommonRun = (previous, next) => {
+  const previousText = previous.map((word) => normalizeWord(word.word));
+  const nextText = next.map((word) => normalizeWord(word.word));
+  let best = { previousIndex: -1, nextIndex: -1, length: 0 };
+
+  previous.forEach((_, i) => {
+    next.forEach((_, j) => {
+      let length = 0;
+
+      while (
+        i + length < previous.length &&
+        j + length < next.length &&
+        previousText[i + length] !== '' &&
+        previousText[i + length] === nextText[j + length] &&
+        Math.abs(previous[i + length].start - next[j + length].start) <= MAX_WORD_DRIFT
+      ) {
+        length += 1;
+      }
+
+      if (length > best.length) {
+        best = { previousIndex: i, nextIndex: j, length };
+      }
+    });
+  });
+
+  return best;
+};
+
+const getMiddle = (word) => (word.start + word.end) / 2;
+
+// Join the words of consecutive chunks. Words must already be offset to the full recording's timeline.
+// Where the same words were heard in both chunks of an overlap, the earlier chunk's copy is kept up to
+// the end of that run and the later chunk takes over after it; otherwise the chunks meet at the cut point.
+export const stitchChunks = (results) => results.reduce((stitched, { chunk, words }, index) => {
+  if (index === 0) {
+    return words;
+  }
+
+  const previousEnd = results[index - 1].chunk.end;
+  const overlapStart = stitched.findIndex((word) => word.end > chunk.start);
+  const tail = overlapStart === -1 ? [] : stitched.slice(overlapStart);
+  const head = words.filter((word) => word.start < previousEnd);
+  const run = findCommonRun(tail, head);
+
+  if (run.length > 0) {
+    return [
+      ...stitched.slice(0, overlapStart + run.previousIndex + run.length),
+      ...words.slice(run.nextIndex + run.length)
+    ];
+  }
+
+  return [
+    ...stitched.filter((word) => getMiddle(word) < chunk.from),
+    ...words.filter((word) => getMiddle(word) >= chunk.from)
+  ];
+}, []);
@@ -0,0 +1,22 @@
+import { DEFAULT_CONFIDENCE_THRESHOLD } from '../src/CaptionedVideo/presets.js';
+
+export { DEFAULT_CONFIDENCE_THRESHOLD };
+
+// Words carry the engine's confidence as probability, from 0 to 1, when the engine gives one
+// (whisper.cpp's token probabilities, the fixture provider). Words without it were estimated or
+// typed in, and are never reported as low-confidence.
+
+export const isProbability = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 1;
+
+// The confidence of a word made from several others is that of the least certain one
+export const getCombinedProbability = (words) => {
+  const probabilities = words.map((word) => word.probability).filter(isProbability);
+  return probabilities.length > 0 ? Math.min(...probabilities) : null;
+};
+
+// Words below the threshold, in time order: [{ captionId, index, word, start, end, probability }]
+export const findLowConfidenceWords = (captions, threshold = DEFAULT_CONFIDENCE_THRESHOLD) => captions.flatMap((caption) => (
+  (caption.words || [])
+    .map((word, index) => ({ captionId: caption.id, index, word: word.word, start: word.start, end: word.end, probability: word.probability }))
+    .filter((word) => isProbability(word.probability) && word.probability < threshold)
+));
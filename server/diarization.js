@@ -0,0 +1,301 @@
+import fs from 'fs-extra';
+import { readWavHeader } from './wav.js';
+
+// Offline speaker diarization over the 16 kHz mono WAV from extractAudioFromVideo. Each caption's
+// voice is summarised as its mean cepstral coefficients, and captions with similar voices are clustered
+// into speakers. Rough, but needs no model and no network.
+
+export const DEFAULT_DIARIZATION_OPTIONS = {
+  threshold: 0.5, // distance (in frame-to-frame spreads) beyond which a voice counts as a new speaker
+  maxSpeakers: 8
+};
+
+const FRAME_SIZE = 512; // 32 ms at 16 kHz, a power of two for the FFT
+const HOP_SIZE = 256;
+const MEL_BANDS = 24;
+const CEPSTRA = 12; // coefficients kept, after dropping c0 (overall loudness)
+const SILENCE_DB = -45; // quieter frames don't say anything about the voice
+const MIN_VOICED_FRAMES = 10;
+const REFINE_ITERATIONS = 10;
+
+const resolveOptions = (options = {}) => {
+  const threshold = Number(options.threshold);
+  const maxSpeakers = Number(options.maxSpeakers);
+  const speakers = Number(options.speakers);
+
+  return {
+    threshold: Number.isFinite(threshold) && threshold > 0 ? threshold : DEFAULT_DIARIZATION_OPTIONS.threshold,
+    maxSpeakers: Number.isInteger(maxSpeakers) && maxSpeakers > 0 ? maxSpeakers : DEFAULT_DIARIZATION_OPTIONS.maxSpeakers,
+    // A known speaker count skips the threshold
+    speakers: Number.isInteger(speakers) && speakers > 0 ? speakers : null
+  };
+};
+
+const hannWindow = Float64Array.from({ length: FRAME_SIZE }, (_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (FRAME_SIZE - 1)));
+
+// FFT twiddle factors and DCT basis, computed once
+const twiddleCos = Float64Array.from({ length: FRAME_SIZE / 2 }, (_, k) => Math.cos((-2 * Math.PI * k) / FRAME_SIZE));
+const twiddleSin = Float64Array.from({ length: FRAME_SIZE / 2 }, (_, k) => Math.sin((-2 * Math.PI * k) / FRAME_SIZE));
+const dctBasis = Array.from({ length: CEPSTRA }, (_, k) => Float64Array.from(
+  { length: MEL_BANDS },
+  (__, band) => Math.cos((Math.PI * (k + 1) * (band + 0.5)) / MEL_BANDS)
+));
+
+// In-place radix-2 FFT
+const fft = (real, imag) => {
+  const n = real.length;
+
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+
+    if (i < j) {
+      [real[i], real[j]] = [real[j], real[i]];
+      [imag[i], imag[j]] = [imag[j], imag[i]];
+    }
+  }
+
+  for (let length = 2; length <= n; length <<= 1) {
+    const step = n / length;
+
+    for (let i = 0; i < n; i += length) {
+      for (let k = 0; k < length / 2; k++) {
+        const cos = twiddleCos[k * step];
+        const sin = twiddleSin[k * step];
+        const evenIndex = i + k;
+        const oddIndex = i + k + length / 2;
+        const oddReal = real[oddIndex] * cos - imag[oddIndex] * sin;
+        const oddImag = real[oddIndex] * sin + imag[oddIndex] * cos;
+
+        real[oddIndex] = real[evenIndex] - oddReal;
+        imag[oddIndex] = imag[evenIndex] - oddImag;
+        real[evenIndex] += oddReal;
+        imag[evenIndex] += oddImag;
+      }
+    }
+  }
+};
+
+const toMel = (hz) => 2595 * Math.log10(1 + hz / 700);
+const fromMel = (mel) => 700 * (10 ** (mel / 2595) - 1);
+
+// Triangular mel filters over the FFT bins, from 100 Hz to just under Nyquist.
+// Each is { from, weights } covering only the bins it touches.
+const createMelFilters = (sampleRate) => {
+  const bins = FRAME_SIZE / 2 + 1;
+  const low = toMel(100);
+  const high = toMel(Math.min(7600, sampleRate / 2));
+  const edges = Array.from({ length: MEL_BANDS + 2 }, (_, i) => (
+    Math.floor(((FRAME_SIZE + 1) * fromMel(low + ((high - low) * i) / (MEL_BANDS + 1))) / sampleRate)
+  ));
+
+  return Array.from({ length: MEL_BANDS }, (_, band) => {
+    const [left, center, right] = [edges[band], edges[band + 1], Math.min(edges[band + 2], bins)];
+    const weights = Float64Array.from({ length: Math.max(1, right - left) }, (__, offset) => {
+      const bin = left + offset;
+      return bin < center
+        ? (bin - left) / Math.max(1, center - left)
+        : (edges[band + 2] - bin) / Math.max(1, edges[band + 2] - center);
+    });
+
+    return { from: left, weights };
+  });
+};
+
+// Cepstral coefficients of one frame, or null when it is too quiet
+const measureFrame = (samples, offset, melFilters) => {
+  const real = new Float64Array(FRAME_SIZE);
+  const imag = new Float64Array(FRAME_SIZE);
+  let energy = 0;
+
+  for (let i = 0; i < FRAME_SIZE; i++) {
+    const sample = samples[offset + i];
+    energy += sample * sample;
+    real[i] = sample * hannWindow[i];
+  }
+
+  if (10 * Math.log10(energy / FRAME_SIZE + 1e-12) < SILENCE_DB) {
+    return null;
+  }
+
+  fft(real, imag);
+
+  const logMel = melFilters.map(({ from, weights }) => {
+    let sum = 0;
+    for (let i = 0; i < weights.length; i++) {
+      const bin = from + i;
+      sum += weights[i] * (real[bin] * real[bin] + imag[bin] * imag[bin]);
+    }
+    return Math.log(sum + 1e-10);
+  });
+
+  // DCT-II, skipping c0
+  return dctBasis.map((basis) => logMel.reduce((sum, value, band) => sum + value * basis[band], 0));
+};
+
+// Samples between start and end (seconds) as floats in [-1, 1]
+const readSamples = async (handle, header, start, end) => {
+  const bytesPerSecond = header.sampleRate * header.channels * 2;
+  const from = header.dataOffset + Math.floor(Math.max(0, start) * header.sampleRate) * header.channels * 2;
+  const length = Math.max(0, Math.floor((end - start) * bytesPerSecond / 2) * 2);
+  const { buffer, bytesRead } = await fs.read(handle, Buffer.alloc(length), 0, length, from);
+  const samples = new Float64Array(Math.floor(bytesRead / 2 / header.channels));
+
+  // Mix down to mono
+  for (let i = 0; i < samples.length; i++) {
+    let sum = 0;
+    for (let channel = 0; channel < header.channels; channel++) {
+      sum += buffer.readInt16LE((i * header.channels + channel) * 2);
+    }
+    samples[i] = sum / header.channels / 32768;
+  }
+
+  return samples;
+};
+
+// Mean and standard deviation of the cepstra over the voiced frames, or null with too little speech
+const describeVoice = (samples, melFilters) => {
+  const frames = [];
+
+  for (let offset = 0; offset + FRAME_SIZE <= samples.length; offset += HOP_SIZE) {
+    const cepstra = measureFrame(samples, offset, melFilters);
+    if (cepstra) frames.push(cepstra);
+  }
+
+  if (frames.length < MIN_VOICED_FRAMES) {
+    return null;
+  }
+
+  const mean = Array.from({ length: CEPSTRA }, (_, k) => frames.reduce((sum, frame) => sum + frame[k], 0) / frames.length);
+  const deviation = mean.map((value, k) => Math.sqrt(frames.reduce((sum, frame) => sum + (frame[k] - value) ** 2, 0) / frames.length));
+
+  return { mean, deviation };
+};
+
+// Express each caption's mean in units of how much the cepstra vary from frame to frame within a
+// caption. One speaker's captions then sit close together however similar or different the other
+// voices in the recording are, so the threshold means the same thing for every recording.
+const scaleVoices = (voices) => {
+  const spread = voices[0].mean.map((_, k) => voices.reduce((sum, voice) => sum + voice.deviation[k], 0) / voices.length || 1);
+  return voices.map((voice) => voice.mean.map((value, k) => value / spread[k]));
+};
+
+// Root-mean-square difference per coefficient
+const getDistance = (a, b) => {
+  let sum = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    sum += (a[i] - b[i]) ** 2;
+  }
+
+  return Math.sqrt(sum / a.length);
+};
+
+const getCentroid = (vectors) => vectors[0].map((_, d) => vectors.reduce((sum, vector) => sum + vector[d], 0) / vectors.length);
+
+const findNearest = (vector, centroids) => centroids.reduce((best, centroid, index) => {
+  const distance = getDistance(vector, centroid);
+  return distance < best.distance ? { index, distance } : best;
+}, { index: -1, distance: Infinity });
+
+// Initial centroids: a fixed count picked farthest-first, or a new speaker whenever a voice is
+// further than the threshold from every speaker so far
+const seedCentroids = (vectors, settings) => {
+  const centroids = [vectors[0]];
+
+  if (settings.speakers) {
+    while (centroids.length < Math.min(settings.speakers, vectors.length)) {
+      const farthest = vectors.reduce((best, vector) => {
+        const { distance } = findNearest(vector, centroids);
+        return distance > best.distance ? { vector, distance } : best;
+      }, { vector: null, distance: -1 });
+      centroids.push(farthest.vector);
+    }
+    return centroids;
+  }
+
+  vectors.forEach((vector) => {
+    if (centroids.length < settings.maxSpeakers && findNearest(vector, centroids).distance > settings.threshold) {
+      centroids.push(vector);
+    }
+  });
+
+  return centroids;
+};
+
+// k-means over the voices; returns the cluster index of each
+const clusterVoices = (vectors, settings) => {
+  let centroids = seedCentroids(vectors, settings);
+  let assignments = vectors.map((vector) => findNearest(vector, centroids).index);
+
+  for (let iteration = 0; iteration < REFINE_ITERATIONS; iteration++) {
+    centroids = centroids
+      .map((_, index) => vectors.filter((__, i) => assignments[i] === index))
+      .filter((members) => members.length > 0)
+      .map(getCentroid);
+
+    const next = vectors.map((vector) => findNearest(vector, centroids).index);
+    const changed = next.some((index, i) => index !== assignments[i]);
+    assignments = next;
+
+    if (!changed) break;
+  }
+
+  return assignments;
+};
+
+// Tag each caption (and its words) with a speaker id: S1, S2, ... in order of first appearance.
+// Captions with too little speech to judge take the speaker of the caption before them.
+export const diarizeCaptions = async (audioPath, captions, options = {}) => {
+  const settings = resolveOptions(options);
+  const header = await readWavHeader(audioPath);
+  const melFilters = createMelFilters(header.sampleRate);
+  const handle = await fs.open(audioPath, 'r');
+  let voices;
+
+  try {
+    voices = [];
+    for (const caption of captions) {
+      voices.push(describeVoice(await readSamples(handle, header, caption.start, caption.end), melFilters));
+    }
+  } finally {
+    await fs.close(handle);
+  }
+
+  const measured = voices.map((voice, index) => ({ voice, index })).filter(({ voice }) => voice);
+
+  if (measured.length === 0) {
+    throw new Error('Not enough speech to tell speakers apart');
+  }
+
+  const assignments = clusterVoices(scaleVoices(measured.map(({ voice }) => voice)), settings);
+  const clusterByCaption = new Map(measured.map(({ index }, i) => [index, assignments[i]]));
+
+  // Number clusters by first appearance
+  const speakerIds = new Map();
+  const speakers = captions.map((_, index) => {
+    const cluster = clusterByCaption.get(index);
+
+    if (cluster === undefined) return null;
+    if (!speakerIds.has(cluster)) {
+      speakerIds.set(cluster, `S${speakerIds.size + 1}`);
+    }
+    return speakerIds.get(cluster);
+  });
+
+  let previous = speakers.find(Boolean);
+
+  return captions.map((caption, index) => {
+    const speaker = speakers[index] || previous;
+    previous = speaker;
+
+    return {
+      ...caption,
+      speaker,
+      ...(caption.words && { words: caption.words.map((word) => ({ ...word, speaker })) })
+    };
+  });
+};
@@ -0,0 +1,293 @@
+import path from 'path';
+import fs from 'fs-extra';
+import { v4 as uuidv4 } from 'uuid';
+import { fileURLToPath } from 'url';
+import { estimateWordTimings } from './wordTiming.js';
+import { getCombinedProbability } from './confidence.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Glossaries hold the vocabulary of one brand or show, shared by every project on this server:
+//
+//   { id, name, terms: ['Remotion', 'Hinglish'], rules: [{ find, replace, regex, caseSensitive }] }
+//
+// The terms are given to the transcription engine as context (whisper.cpp's --prompt). The rules
+// fix what it still gets wrong, in both the caption text and the timed words.
+export const glossariesDir = path.join(__dirname, '../glossaries');
+fs.ensureDirSync(glossariesDir);
+
+// whisper.cpp only reads the last part of a long prompt, so keep it short
+const MAX_PROMPT_LENGTH = 600;
+
+const getGlossaryPath = (id) => {
+  if (!id || id !== path.basename(id) || id.startsWith('.')) {
+    throw new Error(`Invalid glossary id: ${id}`);
+  }
+
+  return path.join(glossariesDir, `${id}.json`);
+};
+
+export const listGlossaries = async () => {
+  const files = (await fs.readdir(glossariesDir)).filter((name) => name.endsWith('.json'));
+  const glossaries = await Promise.all(files.map((name) => fs.readJson(path.join(glossariesDir, name))));
+
+  return glossaries.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+export const getGlossary = async (id) => {
+  const glossaryPath = getGlossaryPath(id);
+
+  if (!(await fs.pathExists(glossaryPath))) {
+    return null;
+  }
+
+  return fs.readJson(glossaryPath);
+};
+
+// Create a glossary, or replace an existing one's name, terms and rules
+export const saveGlossary = async (id, { name, terms = [], rules = [] }) => {
+  const existing = id ? await getGlossary(id) : null;
+  const now = new Date().toISOString();
+
+  const glossary = {
+    id: id || uuidv4(),
+    name: name.trim(),
+    terms: terms.map((term) => term.trim()).filter(Boolean),
+    rules: rules.map(({ find, replace = '', regex = false, caseSensitive = false }) => ({ find, replace, regex, caseSensitive })),
+    createdAt: existing?.createdAt || now,
+    updatedAt: now
+  };
+
+  await fs.writeJson(getGlossaryPath(glossary.id), glossary, { spaces: 2 });
+  return glossary;
+};
+
+export const deleteGlossary = async (id) => {
+  const glossaryPath = getGlossaryPath(id);
+
+  if (!(await fs.pathExists(glossaryPath))) {
+    return false;
+  }
+
+  await fs.remove(glossaryPath);
+  return true;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Regex rules run on the server thread, where a pattern that backtracks without end, such as (a+)+
+// or (a|ab)*, would stall every request. These limits keep such patterns out.
+const MAX_PATTERN_LENGTH = 200;
+const UNBOUNDED_QUANTIFIER = /^(\*|\+|\{\d+,\})/;
+
+// Whether a group that repeats without bound itself repeats or alternates inside
+const hasNestedQuantifier = (pattern) => {
+  const groups = [];
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    const group = groups[groups.length - 1];
+
+    if (char === '\\') {
+      i += 1;
+    } else if (char === '[') {
+      // Skip the character class; a ] right after [ or [^ is a literal
+      i += pattern[i + 1] === '^' ? 2 : 1;
+      for (i += pattern[i] === ']' ? 1 : 0; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i += 1;
+      }
+    } else if (char === '(') {
+      groups.push({ repeats: false, alternates: false });
+    } else if (char === '|' && group) {
+      group.alternates = true;
+    } else if (char === ')' && group) {
+      groups.pop();
+      const repeated = UNBOUNDED_QUANTIFIER.test(pattern.slice(i + 1));
+
+      if (repeated && (group.repeats || group.alternates)) {
+        return true;
+      }
+
+      if ((repeated || group.repeats) && groups.length > 0) {
+        groups[groups.length - 1].repeats = true;
+      }
+    } else if (group && UNBOUNDED_QUANTIFIER.test(pattern.slice(i))) {
+      group.repeats = true;
+    }
+  }
+
+  return false;
+};
+
+// Literal rules match whole words only, so "AI" doesn't change "said"
+const createRuleRegExp = ({ find, regex, caseSensitive }) => {
+  if (regex && find.length > MAX_PATTERN_LENGTH) {
+    throw new Error(`Patterns can be at most ${MAX_PATTERN_LENGTH} characters long`);
+  }
+
+  if (regex && hasNestedQuantifier(find)) {
+    throw new Error('Repeated groups that repeat or alternate inside, like (a+)+ or (a|b)*, can take forever to match');
+  }
+
+  return new RegExp(
+    regex ? find : `(?<![\\p{L}\\p{N}])${escapeRegExp(find)}(?![\\p{L}\\p{N}])`,
+    `gu${caseSensitive ? '' : 'i'}`
+  );
+};
+
+// What's wrong with a glossary from a request, or null
+export const getGlossaryError = ({ name, terms, rules }) => {
+  if (typeof name !== 'string' || name.trim() === '') {
+    return 'Glossary name is required';
+  }
+
+  if (terms !== undefined && (!Array.isArray(terms) || !terms.every((term) => typeof term === 'string'))) {
+    return 'Terms must be a list of strings';
+  }
+
+  if (rules !== undefined && !Array.isArray(rules)) {
+    return 'Rules must be a list of { find, replace, regex, caseSensitive }';
+  }
+
+  for (const [index, rule] of (rules || []).entries()) {
+    if (typeof rule?.find !== 'string' || rule.find === '') {
+      return `Rule ${index + 1} needs something to find`;
+    }
+
+    if (rule.replace !== undefined && typeof rule.replace !== 'string') {
+      return `Rule ${index + 1}: replace must be a string`;
+    }
+
+    try {
+      createRuleRegExp(rule);
+    } catch (error) {
+      return `Rule ${index + 1}: ${error.message}`;
+    }
+  }
+
+  return null;
+};
+
+// The terms as an initial prompt for the engine
+export const getGlossaryPrompt = (glossary) => {
+  const prompt = (glossary?.terms || []).join(', ');
+  return prompt ? prompt.slice(0, MAX_PROMPT_LENGTH) : null;
+};
+
+// Give the replacement the case of the text it replaces: "REMOTION" stays shouted, a capital at the
+// start of a sentence stays, and otherwise the replacement is written as the rule spells it
+const matchCase = (matched, replacement) => {
+  const letters = matched.replace(/[^\p{L}]/gu, '');
+
+  if (letters.length > 1 && letters === letters.toUpperCase() && letters !== letters.toLowerCase()) {
+    return replacement.toUpperCase();
+  }
+
+  if (/^\p{Lu}/u.test(letters) && letters.slice(1) === letters.slice(1).toLowerCase()) {
+    return replacement.charAt(0).toUpperCase() + replacement.slice(1);
+  }
+
+  return replacement;
+};
+
+// Fill in $1, $<name> and $& in a regex rule's replacement
+const expandReplacement = (replace, match) => replace.replace(/\$(\d+|&|<([^>]+)>)/g, (token, group, name) => {
+  if (group === '&') return match[0];
+  if (name) return match.groups?.[name] ?? '';
+  return match[Number(group)] ?? '';
+});
+
+// Every match of a rule in a text: [{ start, end, text }]
+const findMatches = (text, rule) => [...text.matchAll(createRuleRegExp(rule))]
+  .filter((match) => match[0].length > 0)
+  .map((match) => ({
+    start: match.index,
+    end: match.index + match[0].length,
+    text: matchCase(match[0], rule.regex ? expandReplacement(rule.replace, match) : rule.replace)
+  }));
+
+const spliceMatches = (text, matches, offset = 0) => matches.reduceRight(
+  (result, match) => result.slice(0, match.start - offset) + match.text + result.slice(match.end - offset),
+  text
+);
+
+const applyRuleToText = (text, rule) => spliceMatches(text, findMatches(text, rule));
+
+// Apply a rule to timed words. The words are matched as one line of text, so a rule can join words
+// ("remote ion" -> "Remotion"), split them or drop them. Words a match touches are replaced by the
+// new text over the same span of time; a single word keeps its other fields, such as the speaker.
+const applyRuleToWords = (words, rule) => {
+  const spans = [];
+  let text = '';
+
+  words.forEach((word) => {
+    if (text) text += ' ';
+    spans.push({ start: text.length, end: text.length + word.word.trim().length });
+    text += word.word.trim();
+  });
+
+  const matches = findMatches(text, rule);
+
+  if (matches.length === 0) {
+    return words;
+  }
+
+  // Group matches by the run of words they touch
+  const groups = [];
+  matches.forEach((match) => {
+    // A match that only covers the space between two words joins them
+    const first = spans.findLastIndex((span) => span.start <= match.start);
+    const last = spans.findIndex((span) => span.end >= match.end);
+    const group = groups[groups.length - 1];
+
+    if (group && first <= group.last) {
+      group.last = Math.max(group.last, last);
+      group.matches.push(match);
+    } else {
+      groups.push({ first, last, matches: [match] });
+    }
+  });
+
+  const result = [];
+  let next = 0;
+
+  groups.forEach(({ first, last, matches: groupMatches }) => {
+    result.push(...words.slice(next, first));
+
+    const start = spans[first].start;
+    const replaced = spliceMatches(text.slice(start, spans[last].end), groupMatches, start).trim();
+    const timing = { start: words[first].start, end: words[last].end };
+    // The new words are only as certain as the least certain word they replace
+    const probability = getCombinedProbability(words.slice(first, last + 1));
+    const { word: _word, start: _start, end: _end, probability: _probability, ...rest } = words[first];
+    const shared = probability === null ? rest : { ...rest, probability };
+
+    if (replaced && !/\s/.test(replaced)) {
+      result.push({ ...shared, word: replaced, ...timing });
+    } else if (replaced) {
+      result.push(...estimateWordTimings(replaced, timing.start, timing.end).map((word) => ({ ...shared, ...word })));
+    }
+
+    next = last + 1;
+  });
+
+  return [...result, ...words.slice(next)];
+};
+
+// Apply a glossary's find/replace rules, in order, to caption text and words
+export const applyGlossary = (captions, glossary) => {
+  const rules = glossary?.rules || [];
+
+  if (rules.length === 0) {
+    return captions;
+  }
+
+  return captions.map((caption) => ({
+    ...caption,
+    text: rules.reduce(applyRuleToText, caption.text),
+    ...(caption.words && { words: rules.reduce(applyRuleToWords, caption.words) })
+  }));
+};
+
+export const applyGlossaryToText = (text, glossary) => (glossary?.rules || []).reduce(applyRuleToText, text);
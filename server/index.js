@@ -4,13 +4,40 @@ import cors from 'cors';
 import path from 'path';
 import fs from 'fs-extra';
 import { v4 as uuidv4 } from 'uuid';
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import { fileURLToPath } from 'url';
 import { spawn } from 'child_process';
 import dotenv from 'dotenv';
-import { bundle } from '@remotion/bundler';
-import { getCompositions, renderMedia } from '@remotion/renderer';
 import { createProxyMiddleware } from 'http-proxy-middleware';
+import { getProject, getProjectIdFromVideoPath, saveProject } from './projects.js';
+import { outputDir, renderProject } from './render.js';
+import { getSubtitleFormat } from './subtitles/index.js';
+import { segmentCaptions } from './segmentation.js';
+import { fixCaptions, lintCaptions } from './lint.js';
+import { alignScript } from './alignment.js';
+import { applySpeechRegions, detectSpeech } from './vad.js';
+import { createAudioSource } from './audio.js';
+import { diarizeCaptions } from './diarization.js';
+import { DEFAULT_SPEAKER_LABELS, SPEAKER_LABEL_MODES, getSpeakers, isSpeakerColor, mergeSpeakers } from './speakers.js';
+import { clearCachedTranscriptions, hashMedia, readCachedTranscription, writeCachedTranscription } from './cache.js';
+import { getModel, getModelLanguageError, importModels, listModels, setDefaultModel, verifyModel } from './models.js';
+import { DEFAULT_TRANSLATOR, getTranslator, listTranslators, supportsPair, translateCaptions } from './translation/index.js';
+import { getTrackCaptions, isLanguageCode, listTracks } from './tracks.js';
+import { SCRIPTS, transliterateCaptions } from './transliteration.js';
+import { DEFAULT_CONFIDENCE_THRESHOLD, findLowConfidenceWords, isProbability } from './confidence.js';
+import { addSoundCues, extractSoundCues, findSoundRegions, measureAudio } from './sdh.js';
+import {
+  applyGlossary,
+  applyGlossaryToText,
+  deleteGlossary,
+  getGlossary,
+  getGlossaryError,
+  getGlossaryPrompt,
+  listGlossaries,
+  saveGlossary
+} from './glossaries.js';
+import { LANGUAGE_OPTIONS, getProvider, listProviders, normalizeSegments, supportsLanguage, transcribe } from './providers/index.js';
+import { isFinalStatus, streamProgress } from './progress.js';
+import { cancelJob, enqueueJob, getJob, getJobEvent, listJobs, registerJobHandler, retryJob, startJobQueue } from './jobs.js';
 
 // Load environment variables
 dotenv.config();
@@ -22,11 +49,7 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 const STUDIO_PORT = 3001;
 
-// Initialize Gemini client
-let genAI = null;
-if (process.env.GEMINI_API_KEY) {
-  genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-} else {
+if (!process.env.GEMINI_API_KEY) {
   console.warn('⚠️  GEMINI_API_KEY not found. Caption generation will not work until you set it in .env file');
 }
 
@@ -74,7 +97,7 @@ const getUnifiedHTML = () => `
 // React Application with Router
 const getReactApplication = () => {
   return `
-const { useState, useCallback, useRef } = React;
+const { useState, useCallback, useRef, useEffect } = React;
 const { BrowserRouter, Routes, Route, useNavigate, Link } = ReactRouterDOM;
 
 // Shadcn-style Button component
@@ -101,28 +124,501 @@ const Button = ({ children, onClick, disabled, variant = 'default', className =
 // Card components
 const Card = ({ children, className = '' }) => {
   return React.createElement('div', {
-    className: \\\`rounded-lg border bg-card text-card-foreground shadow-sm bg-white border-slate-200 \\\${className}\\\`
+    className: \`rounded-lg border bg-card text-card-foreground shadow-sm bg-white border-slate-200 \${className}\`
   }, children);
 };
 
 const CardHeader = ({ children, className = '' }) => {
   return React.createElement('div', {
-    className: \\\`flex flex-col space-y-1.5 p-6 \\\${className}\\\`
+    className: \`flex flex-col space-y-1.5 p-6 \${className}\`
   }, children);
 };
 
 const CardTitle = ({ children, className = '' }) => {
   return React.createElement('h3', {
-    className: \\\`text-2xl font-semibold leading-none tracking-tight \\\${className}\\\`
+    className: \`text-2xl font-semibold leading-none tracking-tight \${className}\`
   }, children);
 };
 
 const CardContent = ({ children, className = '' }) => {
   return React.createElement('div', {
-    className: \\\`p-6 pt-0 \\\${className}\\\`
+    className: \`p-6 pt-0 \${className}\`
   }, children);
 };
 
+// Progress bar for transcription and render jobs
+const STAGE_LABELS = {
+  'extracting-audio': 'Extracting audio',
+  'transcribing': 'Transcribing',
+  'post-processing': 'Post-processing captions',
+  'aligning': 'Aligning script to audio',
+  'detecting-speech': 'Detecting speech',
+  'checking-cache': 'Checking for a cached transcription',
+  'uploading': 'Uploading media',
+  'diarizing': 'Identifying speakers',
+  'detecting-sounds': 'Detecting music and silence',
+  'bundling': 'Bundling Remotion project',
+  'encoding': 'Rendering and encoding frames',
+  'muxing': 'Muxing audio'
+};
+
+const ProgressBar = ({ progress, onCancel }) => {
+  const percent = Math.round((progress.progress || 0) * 100);
+  const details = [];
+
+  if (progress.totalFrames) {
+    details.push(\`\${progress.renderedFrames || 0}/\${progress.totalFrames} frames rendered\`);
+    details.push(\`\${progress.encodedFrames || 0} encoded\`);
+  }
+  if (progress.totalChunks) {
+    details.push(\`\${progress.completedChunks || 0}/\${progress.totalChunks} chunks transcribed\`);
+  }
+  if (progress.etaMs) {
+    details.push(\`~\${Math.ceil(progress.etaMs / 1000)}s left\`);
+  }
+
+  return React.createElement('div', {
+    className: 'bg-slate-50 p-4 rounded-lg space-y-2'
+  },
+    React.createElement('div', {
+      className: 'flex justify-between text-sm text-slate-700'
+    },
+      React.createElement('span', null, progress.status === 'queued'
+        ? \`Queued (position \${progress.position})\`
+        : STAGE_LABELS[progress.stage] || 'Working...'),
+      React.createElement('span', null, \`\${percent}%\`)
+    ),
+    React.createElement('div', {
+      className: 'w-full h-2 bg-slate-200 rounded-full overflow-hidden'
+    },
+      React.createElement('div', {
+        className: 'h-full bg-blue-600 transition-all',
+        style: { width: \`\${percent}%\` }
+      })
+    ),
+    details.length > 0 && React.createElement('p', {
+      className: 'text-xs text-slate-500'
+    }, details.join(' · ')),
+    onCancel && React.createElement(Button, {
+      onClick: onCancel,
+      variant: 'destructive',
+      className: 'w-full'
+    }, 'Cancel')
+  );
+};
+
+// Follow a queued job's Server-Sent Events and resolve with its final event. Dropped connections
+// reconnect on their own; one the browser gives up on (the job is gone) rejects.
+const waitForJob = (jobId, onEvent) => new Promise((resolve, reject) => {
+  const source = new EventSource(\`/api/jobs/\${jobId}/events\`);
+
+  source.onerror = () => {
+    if (source.readyState === EventSource.CLOSED) {
+      reject(new Error('Lost track of the job'));
+    }
+  };
+
+  source.onmessage = (message) => {
+    const event = JSON.parse(message.data);
+    onEvent(event);
+
+    if (['succeeded', 'failed', 'cancelled'].includes(event.status)) {
+      source.close();
+      resolve(event);
+    }
+  };
+});
+
+// Caption style guide issues, with one-click fixes where they are safe
+const SEVERITY_CLASSES = {
+  error: 'bg-red-100 text-red-800',
+  warning: 'bg-amber-100 text-amber-800',
+  info: 'bg-slate-100 text-slate-700'
+};
+
+const CaptionCheckPanel = ({ issues, isLinting, onLint }) => {
+  const fixableCount = (issues || []).filter((issue) => issue.fix).length;
+
+  return React.createElement(Card, {
+    className: 'mb-8'
+  },
+    React.createElement(CardHeader, null,
+      React.createElement(CardTitle, null, '🔍 Caption Check')
+    ),
+    React.createElement(CardContent, {
+      className: 'space-y-4'
+    },
+      React.createElement('div', {
+        className: 'grid grid-cols-2 gap-3'
+      },
+        React.createElement(Button, {
+          onClick: () => onLint(false),
+          disabled: isLinting,
+          variant: 'outline'
+        }, isLinting ? 'Checking...' : 'Run Checks'),
+        React.createElement(Button, {
+          onClick: () => onLint(true),
+          disabled: isLinting || fixableCount === 0
+        }, \`Fix All (\${fixableCount})\`)
+      ),
+
+      issues && issues.length === 0 && React.createElement('p', {
+        className: 'text-sm text-green-700'
+      }, '✅ No problems found'),
+
+      issues && issues.length > 0 && React.createElement('ul', {
+        className: 'space-y-2'
+      },
+        issues.map((issue) => React.createElement('li', {
+          key: issue.id,
+          className: 'flex items-center justify-between gap-3 bg-slate-50 p-3 rounded-lg'
+        },
+          React.createElement('div', {
+            className: 'flex items-center gap-3 text-sm'
+          },
+            React.createElement('span', {
+              className: \`px-2 py-0.5 rounded text-xs font-semibold uppercase \${SEVERITY_CLASSES[issue.severity]}\`
+            }, issue.severity),
+            React.createElement('span', {
+              className: 'font-medium text-slate-700'
+            }, \`#\${issue.captionId}\`),
+            React.createElement('span', {
+              className: 'text-slate-600'
+            }, issue.message)
+          ),
+          issue.fix && React.createElement(Button, {
+            onClick: () => onLint([issue.id]),
+            disabled: isLinting,
+            variant: 'outline',
+            title: issue.fix.description
+          }, 'Fix')
+        ))
+      )
+    )
+  );
+};
+
+// Same default as DEFAULT_CONFIDENCE_THRESHOLD in src/CaptionedVideo/presets.js
+const DEFAULT_CONFIDENCE_THRESHOLD = 0.6;
+
+// Words the engine was unsure of, highlighted in their captions. Clicking one jumps the preview to it.
+const ConfidencePanel = ({ captions, threshold, onThresholdChange, onSeek }) => {
+  const isLow = (word) => typeof word.probability === 'number' && word.probability < threshold;
+  const scored = captions.some((caption) => (caption.words || []).some((word) => typeof word.probability === 'number'));
+  const flagged = captions.filter((caption) => (caption.words || []).some(isLow));
+  const flaggedCount = flagged.reduce((count, caption) => count + caption.words.filter(isLow).length, 0);
+
+  return React.createElement(Card, {
+    className: 'mb-8'
+  },
+    React.createElement(CardHeader, null,
+      React.createElement(CardTitle, null, '🎯 Word Confidence')
+    ),
+    React.createElement(CardContent, {
+      className: 'space-y-4'
+    },
+      !scored && React.createElement('p', {
+        className: 'text-sm text-slate-500'
+      }, 'These captions have no confidence scores. Whisper transcriptions have them; Gemini transcriptions and imported subtitles do not.'),
+
+      scored && React.createElement('label', {
+        className: 'flex items-center gap-3 text-sm text-slate-700'
+      },
+        React.createElement('span', { className: 'whitespace-nowrap' }, \`Below \${Math.round(threshold * 100)}%\`),
+        React.createElement('input', {
+          type: 'range',
+          min: 0.05,
+          max: 0.95,
+          step: 0.05,
+          value: threshold,
+          onChange: (event) => onThresholdChange(Number(event.target.value)),
+          className: 'flex-1'
+        }),
+        React.createElement('span', { className: 'whitespace-nowrap' }, \`\${flaggedCount} words\`)
+      ),
+
+      scored && flagged.length === 0 && React.createElement('p', {
+        className: 'text-sm text-green-700'
+      }, '✅ No words below the threshold'),
+
+      flagged.length > 0 && React.createElement('ul', {
+        className: 'space-y-2 max-h-96 overflow-y-auto'
+      },
+        flagged.map((caption) => React.createElement('li', {
+          key: caption.id,
+          className: 'flex items-baseline gap-3 bg-slate-50 p-3 rounded-lg text-sm'
+        },
+          React.createElement('button', {
+            onClick: () => onSeek(caption.start),
+            className: 'font-medium text-slate-500 hover:text-slate-900'
+          }, \`\${caption.start.toFixed(1)}s\`),
+          React.createElement('span', {
+            className: 'text-slate-700'
+          }, caption.words.map((word, index) => React.createElement(React.Fragment, {
+            key: index
+          },
+            index > 0 && ' ',
+            isLow(word)
+              ? React.createElement('button', {
+                onClick: () => onSeek(word.start),
+                title: \`\${Math.round(word.probability * 100)}% confident\`,
+                className: 'px-1 rounded bg-amber-100 text-amber-900 hover:bg-amber-200'
+              }, word.word.trim())
+              : word.word.trim()
+          )))
+        ))
+      )
+    )
+  );
+};
+
+// How captions show the speaker, as accepted by PUT /api/projects/:id
+const SPEAKER_LABEL_OPTIONS = {
+  color: 'Color',
+  name: 'Name prefix',
+  both: 'Color and name',
+  none: 'Nothing'
+};
+
+// Rename, recolor and merge the speakers found by diarization
+const SpeakerPanel = ({ speakers, speakerLabels, captions, onUpdate, onMerge, onLabelsChange }) => {
+  const speakerIds = Object.keys(speakers);
+
+  return React.createElement(Card, {
+    className: 'mb-8'
+  },
+    React.createElement(CardHeader, null,
+      React.createElement(CardTitle, null, '🗣️ Speakers')
+    ),
+    React.createElement(CardContent, {
+      className: 'space-y-4'
+    },
+      React.createElement('div', {
+        className: 'flex items-center gap-3'
+      },
+        React.createElement('label', {
+          htmlFor: 'speaker-labels',
+          className: 'text-sm font-medium text-slate-700'
+        }, 'Show speakers as'),
+        React.createElement('select', {
+          id: 'speaker-labels',
+          value: speakerLabels,
+          onChange: (event) => onLabelsChange(event.target.value),
+          className: 'flex-1 rounded-md border border-slate-200 px-3 py-2 text-sm'
+        },
+          Object.entries(SPEAKER_LABEL_OPTIONS).map(([value, label]) => React.createElement('option', { key: value, value }, label))
+        )
+      ),
+
+      React.createElement('ul', {
+        className: 'space-y-2'
+      },
+        speakerIds.map((id) => React.createElement('li', {
+          key: id,
+          className: 'flex items-center gap-3 bg-slate-50 p-3 rounded-lg'
+        },
+          React.createElement('input', {
+            type: 'color',
+            value: speakers[id].color,
+            onChange: (event) => onUpdate(id, { color: event.target.value }),
+            className: 'h-8 w-10 rounded border border-slate-200'
+          }),
+          // Saved when the field loses focus, not on every keystroke
+          React.createElement('input', {
+            key: speakers[id].name,
+            defaultValue: speakers[id].name,
+            onBlur: (event) => {
+              if (event.target.value.trim() && event.target.value.trim() !== speakers[id].name) {
+                onUpdate(id, { name: event.target.value });
+              }
+            },
+            className: 'flex-1 rounded-md border border-slate-200 px-3 py-2 text-sm'
+          }),
+          React.createElement('span', {
+            className: 'text-xs text-slate-500'
+          }, \`\${captions.filter((caption) => caption.speaker === id).length} captions\`),
+          speakerIds.length > 1 && React.createElement('select', {
+            value: '',
+            onChange: (event) => event.target.value && onMerge(id, event.target.value),
+            className: 'rounded-md border border-slate-200 px-2 py-2 text-sm'
+          },
+            React.createElement('option', { value: '' }, 'Merge into...'),
+            speakerIds.filter((other) => other !== id).map((other) => React.createElement('option', {
+              key: other,
+              value: other
+            }, speakers[other].name))
+          )
+        ))
+      )
+    )
+  );
+};
+
+// Translate the captions into new tracks and pick one to show under the original
+const TranslationPanel = ({ projectId, language, tracks, secondaryTrack, translators, isTranslating, onTranslate, onShow, onDelete }) => {
+  // What the available translators can make from the original's language
+  const options = translators
+    .filter((translator) => translator.available)
+    .flatMap((translator) => translator.pairs
+      .filter(([from, to]) => from === language && to !== language)
+      .map(([, to]) => ({ translator, to })));
+  const [choice, setChoice] = useState(0);
+  const selected = options[choice] || options[0];
+
+  return React.createElement(Card, {
+    className: 'mb-8'
+  },
+    React.createElement(CardHeader, null,
+      React.createElement(CardTitle, null, '🌐 Translations')
+    ),
+    React.createElement(CardContent, {
+      className: 'space-y-4'
+    },
+      options.length === 0
+        ? React.createElement('p', {
+          className: 'text-sm text-slate-500'
+        }, language
+          ? \`No translator can translate from \${LANGUAGE_NAMES[language] || language}\`
+          : 'Generate captions first so the original language is known')
+        : React.createElement('div', {
+          className: 'flex items-center gap-3'
+        },
+          React.createElement('select', {
+            value: choice,
+            onChange: (event) => setChoice(Number(event.target.value)),
+            className: 'flex-1 rounded-md border border-slate-200 px-3 py-2 text-sm'
+          },
+            options.map(({ translator, to }, index) => React.createElement('option', {
+              key: \`\${translator.id}-\${to}\`,
+              value: index
+            }, \`\${LANGUAGE_NAMES[to] || to} (\${translator.name})\`))
+          ),
+          React.createElement(Button, {
+            onClick: () => onTranslate(selected.to, selected.translator.id),
+            disabled: isTranslating
+          }, isTranslating ? 'Translating...' : 'Translate')
+        ),
+
+      tracks.length > 0 && React.createElement('div', {
+        className: 'flex items-center gap-3'
+      },
+        React.createElement('label', {
+          htmlFor: 'secondary-track',
+          className: 'text-sm font-medium text-slate-700'
+        }, 'Show under the original'),
+        React.createElement('select', {
+          id: 'secondary-track',
+          value: secondaryTrack || '',
+          onChange: (event) => onShow(event.target.value || null),
+          className: 'flex-1 rounded-md border border-slate-200 px-3 py-2 text-sm'
+        },
+          React.createElement('option', { value: '' }, 'Nothing'),
+          tracks.map((track) => React.createElement('option', {
+            key: track.language,
+            value: track.language
+          }, LANGUAGE_NAMES[track.language] || track.language))
+        )
+      ),
+
+      tracks.length > 0 && React.createElement('ul', {
+        className: 'space-y-2'
+      },
+        tracks.map((track) => React.createElement('li', {
+          key: track.language,
+          className: 'flex items-center gap-3 bg-slate-50 p-3 rounded-lg text-sm'
+        },
+          React.createElement('span', {
+            className: 'flex-1 font-medium'
+          }, LANGUAGE_NAMES[track.language] || track.language),
+          React.createElement('span', {
+            className: 'text-xs text-slate-500'
+          }, \`\${track.captions.length} captions\`),
+          React.createElement('a', {
+            href: \`/api/projects/\${projectId}/captions.srt?track=\${track.language}\`,
+            className: 'text-xs text-blue-600 hover:underline'
+          }, 'SRT'),
+          React.createElement(Button, {
+            onClick: () => onDelete(track.language),
+            variant: 'outline'
+          }, 'Delete')
+        ))
+      )
+    )
+  );
+};
+
+// Show Hindi in Devanagari or romanized, for the original captions or a translation
+const ScriptPanel = ({ captions, tracks, isConverting, onConvert }) => {
+  const [track, setTrack] = useState('');
+  const trackCaptions = track ? tracks.find((item) => item.language === track)?.captions || [] : captions;
+  const script = trackCaptions.some((caption) => /[\\u0900-\\u097F]/.test(caption.text)) ? 'devanagari' : 'roman';
+
+  return React.createElement(Card, {
+    className: 'mb-8'
+  },
+    React.createElement(CardHeader, null,
+      React.createElement(CardTitle, null, '🔤 Hindi Script')
+    ),
+    React.createElement(CardContent, {
+      className: 'space-y-4'
+    },
+      tracks.length > 0 && React.createElement('select', {
+        value: track,
+        onChange: (event) => setTrack(event.target.value),
+        className: 'w-full rounded-md border border-slate-200 px-3 py-2 text-sm'
+      },
+        React.createElement('option', { value: '' }, 'Original captions'),
+        tracks.map((item) => React.createElement('option', {
+          key: item.language,
+          value: item.language
+        }, \`\${LANGUAGE_NAMES[item.language] || item.language} translation\`))
+      ),
+      React.createElement('div', {
+        className: 'grid grid-cols-2 gap-3'
+      },
+        React.createElement(Button, {
+          onClick: () => onConvert('devanagari', track || null),
+          disabled: isConverting || script === 'devanagari',
+          variant: script === 'devanagari' ? 'default' : 'outline'
+        }, 'देवनागरी'),
+        React.createElement(Button, {
+          onClick: () => onConvert('roman', track || null),
+          disabled: isConverting || script === 'roman',
+          variant: script === 'roman' ? 'default' : 'outline'
+        }, 'Roman (Hinglish)')
+      ),
+      React.createElement('p', {
+        className: 'text-xs text-slate-500'
+      }, 'Converts Hindi words one by one and keeps their timings. English words stay as they are.')
+    )
+  );
+};
+
+// Language options for transcription, as accepted by /api/generate-captions
+const LANGUAGE_OPTION_LABELS = {
+  auto: 'Auto-detect',
+  hi: 'Hindi / Hinglish',
+  en: 'English',
+  translate: 'Translate to English'
+};
+
+const LANGUAGE_NAMES = { hi: 'Hindi', en: 'English' };
+
+// Same rule as supportsLanguage in server/providers/index.js
+const supportsLanguage = (provider, language) => {
+  if (language === 'auto') return true;
+  if (language === 'translate') return Boolean(provider.capabilities.translation);
+  return provider.capabilities.languages.includes(language);
+};
+
+// Button colors for the transcription providers, in list order
+const PROVIDER_BUTTON_CLASSES = [
+  'bg-green-600 hover:bg-green-700',
+  'bg-orange-600 hover:bg-orange-700',
+  'bg-blue-600 hover:bg-blue-700',
+  'bg-teal-600 hover:bg-teal-700'
+];
+
 // Upload Page Component
 const UploadPage = () => {
   const navigate = useNavigate();
@@ -132,7 +628,31 @@ const UploadPage = () => {
   const [isGeneratingCaptions, setIsGeneratingCaptions] = useState(false);
   const [isUploading, setIsUploading] = useState(false);
   const [error, setError] = useState(null);
+  const [projectId, setProjectId] = useState(null);
+  const [activeJobId, setActiveJobId] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [isRendering, setIsRendering] = useState(false);
+  const [providers, setProviders] = useState([]);
+  const [language, setLanguage] = useState('auto');
+  const [script, setScript] = useState('');
+  const [force, setForce] = useState(false);
+  const [diarize, setDiarize] = useState(false);
+  const [sdh, setSdh] = useState(false);
+  const [speakers, setSpeakers] = useState({});
+  const [speakerLabels, setSpeakerLabels] = useState('both');
+  const [projectLanguage, setProjectLanguage] = useState(null);
+  const [tracks, setTracks] = useState({});
+  const [secondaryTrack, setSecondaryTrack] = useState(null);
+  const [translators, setTranslators] = useState([]);
+  const [isTranslating, setIsTranslating] = useState(false);
+  const [isConverting, setIsConverting] = useState(false);
+  const [glossaries, setGlossaries] = useState([]);
+  const [glossaryId, setGlossaryId] = useState('');
+  const [lintIssues, setLintIssues] = useState(null);
+  const [isLinting, setIsLinting] = useState(false);
+  const [confidenceThreshold, setConfidenceThreshold] = useState(DEFAULT_CONFIDENCE_THRESHOLD);
   const fileInputRef = useRef(null);
+  const videoRef = useRef(null);
 
   const CAPTION_PRESETS = {
     'bottom-centered': { name: 'Bottom Centered', position: 'bottom', style: 'classic' },
@@ -140,6 +660,24 @@ const UploadPage = () => {
     'karaoke': { name: 'Karaoke Style', position: 'bottom', style: 'karaoke' }
   };
 
+  // Caption generation buttons come from the server's provider list
+  useEffect(() => {
+    fetch('/api/providers')
+      .then((response) => response.json())
+      .then((result) => setProviders(result.providers || []))
+      .catch((err) => setError(\`Could not load transcription providers: \${err.message}\`));
+
+    fetch('/api/glossaries')
+      .then((response) => response.json())
+      .then((result) => setGlossaries(result.glossaries || []))
+      .catch((err) => setError(\`Could not load glossaries: \${err.message}\`));
+
+    fetch('/api/translators')
+      .then((response) => response.json())
+      .then((result) => setTranslators(result.translators || []))
+      .catch((err) => setError(\`Could not load translators: \${err.message}\`));
+  }, []);
+
   const handleVideoUpload = useCallback(async (event) => {
     const file = event.target.files?.[0];
     if (!file) return;
@@ -163,12 +701,47 @@ const UploadPage = () => {
       const result = await response.json();
       setVideo(result.video);
     } catch (err) {
-      setError(\\\`Upload failed: \\\${err.message}\\\`);
+      setError(\`Upload failed: \${err.message}\`);
     } finally {
       setIsUploading(false);
     }
   }, []);
 
+  // Speaker and translation edits are saved to the project; the studio preview picks them up from localStorage
+  const applyProject = useCallback((project) => {
+    setCaptions(project.captions);
+    setSpeakers(project.speakers || {});
+    setSpeakerLabels(project.speakerLabels || 'both');
+    setProjectLanguage(project.language || null);
+    setTracks(project.tracks || {});
+    setSecondaryTrack(project.secondaryTrack || null);
+
+    const storedProps = JSON.parse(localStorage.getItem('remotionProps') || '{}');
+    localStorage.setItem('remotionProps', JSON.stringify({
+      ...storedProps,
+      captions: project.captions,
+      speakers: project.speakers || {},
+      speakerLabels: project.speakerLabels || 'both',
+      secondaryCaptions: project.tracks?.[project.secondaryTrack]?.captions || []
+    }));
+  }, []);
+
+  // The studio underlines the same words while the threshold is being reviewed
+  const handleConfidenceThresholdChange = useCallback((threshold) => {
+    setConfidenceThreshold(threshold);
+
+    const storedProps = JSON.parse(localStorage.getItem('remotionProps') || '{}');
+    localStorage.setItem('remotionProps', JSON.stringify({ ...storedProps, confidenceThreshold: threshold }));
+  }, []);
+
+  const handleSeek = useCallback((time) => {
+    if (!videoRef.current) return;
+
+    videoRef.current.currentTime = time;
+    videoRef.current.pause();
+    videoRef.current.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, []);
+
   const handleGenerateCaptions = useCallback(async (method = 'demo') => {
     if (!video) return;
 
@@ -179,43 +752,275 @@ const UploadPage = () => {
       const response = await fetch('/api/generate-captions', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ videoPath: video.url, method }),
+        body: JSON.stringify({
+          videoPath: video.url,
+          method,
+          language,
+          preset: CAPTION_PRESETS[selectedPreset],
+          ...(force && { force: true }),
+          ...(diarize && { diarize: true }),
+          ...(sdh && { sdh: true }),
+          ...(glossaryId && { glossary: glossaryId }),
+          ...(method === 'align' && { script })
+        }),
       });
 
       if (!response.ok) {
         throw new Error('Failed to generate captions');
       }
 
-      const result = await response.json();
+      const { job } = await response.json();
+      setActiveJobId(job.id);
+
+      const finalEvent = await waitForJob(job.id, setProgress);
+
+      if (finalEvent.status === 'cancelled') {
+        setError('Caption generation cancelled');
+        return;
+      }
+
+      if (finalEvent.status === 'failed') {
+        throw new Error(finalEvent.error);
+      }
+
+      const result = finalEvent.result;
       setCaptions(result.captions);
+      setProjectId(result.projectId);
+      setSpeakers(result.speakers || {});
+      setSpeakerLabels(result.speakerLabels);
+      setProjectLanguage(result.language);
+      setLintIssues(null);
       
       if (result.captions && result.captions.length > 0) {
         const maxEndTime = Math.max(...result.captions.map(c => c.end));
         const durationInFrames = Math.ceil(maxEndTime * 30);
         
         const props = {
-          videoSrc: \\\`\\\${window.location.origin}\\\${video.url}\\\`,
+          videoSrc: \`\${window.location.origin}\${video.url}\`,
           captions: result.captions,
-          preset: CAPTION_PRESETS[selectedPreset]
+          preset: CAPTION_PRESETS[selectedPreset],
+          speakers: result.speakers || {},
+          speakerLabels: result.speakerLabels,
+          secondaryCaptions: []
         };
         
         // Store props in localStorage for Remotion to access
         localStorage.setItem('remotionProps', JSON.stringify(props));
         localStorage.setItem('remotionDuration', durationInFrames.toString());
+
+        // Translations made earlier are kept with the project
+        const projectResponse = await fetch(\`/api/projects/\${result.projectId}\`);
+        if (projectResponse.ok) {
+          applyProject((await projectResponse.json()).project);
+        }
         
-        setError('✅ Captions generated! Redirecting to studio...');
-        
-        // Navigate to studio page
-        setTimeout(() => {
-          navigate('/studio');
-        }, 2000);
+        setError(result.alignment && result.alignment.unmatched.length > 0
+          ? \`✅ Script aligned. \${result.alignment.unmatched.length} word(s) could not be matched to the audio: \${result.alignment.unmatched.map((word) => word.word).join(', ')}\`
+          : \`✅ Captions generated\${result.cached ? ' from cached transcription' : ''}\${result.language ? \` (language: \${LANGUAGE_NAMES[result.language] || result.language})\` : ''}! Open them in the studio or export the video.\`);
       }
     } catch (err) {
-      setError(\\\`Caption generation failed: \\\${err.message}\\\`);
+      setError(\`Caption generation failed: \${err.message}\`);
     } finally {
+      setActiveJobId(null);
+      setProgress(null);
       setIsGeneratingCaptions(false);
     }
-  }, [video, selectedPreset, navigate]);
+  }, [video, selectedPreset, script, language, force, diarize, sdh, glossaryId, applyProject]);
+
+  const handleExport = useCallback(async () => {
+    if (!projectId) return;
+
+    setIsRendering(true);
+    setError(null);
+
+    try {
+      const response = await fetch('/api/render', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ projectId }),
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to start render');
+      }
+
+      const { job } = await response.json();
+      setActiveJobId(job.id);
+
+      const finalEvent = await waitForJob(job.id, setProgress);
+
+      if (finalEvent.status === 'succeeded') {
+        setError(\`✅ Video exported to \${finalEvent.result.outputPath}\`);
+      } else if (finalEvent.status === 'failed') {
+        setError(\`Export failed: \${finalEvent.error}\`);
+      } else {
+        setError('Export cancelled');
+      }
+    } catch (err) {
+      setError(\`Export failed: \${err.message}\`);
+    } finally {
+      setActiveJobId(null);
+      setProgress(null);
+      setIsRendering(false);
+    }
+  }, [projectId]);
+
+  // Run the caption checks, optionally applying fixes (true for all, or a list of issue ids)
+  const handleLint = useCallback(async (fix) => {
+    setIsLinting(true);
+    setError(null);
+
+    try {
+      const response = await fetch('/api/captions/lint', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ captions, fix }),
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to check captions');
+      }
+
+      const result = await response.json();
+      setLintIssues(result.issues);
+
+      if (result.captions) {
+        setCaptions(result.captions);
+
+        if (projectId) {
+          await fetch(\`/api/projects/\${projectId}\`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ captions: result.captions }),
+          });
+        }
+
+        const storedProps = JSON.parse(localStorage.getItem('remotionProps') || '{}');
+        localStorage.setItem('remotionProps', JSON.stringify({ ...storedProps, captions: result.captions }));
+        setError(\`✅ Applied \${result.fixed.length} fix(es)\`);
+      }
+    } catch (err) {
+      setError(\`Caption check failed: \${err.message}\`);
+    } finally {
+      setIsLinting(false);
+    }
+  }, [captions, projectId]);
+
+  const saveSpeakerChange = useCallback(async (url, method, body) => {
+    if (!projectId) return;
+
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.error || 'Request failed');
+      }
+
+      applyProject(result.project);
+    } catch (err) {
+      setError(\`Could not update speakers: \${err.message}\`);
+    }
+  }, [projectId, applyProject]);
+
+  const handleSpeakerUpdate = useCallback((speakerId, changes) => (
+    saveSpeakerChange(\`/api/projects/\${projectId}/speakers/\${speakerId}\`, 'PUT', changes)
+  ), [projectId, saveSpeakerChange]);
+
+  const handleSpeakerMerge = useCallback((from, into) => (
+    saveSpeakerChange(\`/api/projects/\${projectId}/speakers/merge\`, 'POST', { from, into })
+  ), [projectId, saveSpeakerChange]);
+
+  const handleSpeakerLabelsChange = useCallback((mode) => (
+    saveSpeakerChange(\`/api/projects/\${projectId}\`, 'PUT', { speakerLabels: mode })
+  ), [projectId, saveSpeakerChange]);
+
+  const handleTranslate = useCallback(async (to, translator) => {
+    if (!projectId) return;
+
+    setIsTranslating(true);
+    setError(null);
+
+    try {
+      const response = await fetch(\`/api/projects/\${projectId}/tracks\`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ to, translator }),
+      });
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.details || result.error || 'Request failed');
+      }
+
+      // Show a new translation under the original straight away
+      if (!result.project.secondaryTrack) {
+        const showResponse = await fetch(\`/api/projects/\${projectId}\`, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ secondaryTrack: to }),
+        });
+        applyProject((await showResponse.json()).project);
+      } else {
+        applyProject(result.project);
+      }
+
+      setError(\`✅ Translated \${result.track.captions.length} captions into \${LANGUAGE_NAMES[to] || to}\`);
+    } catch (err) {
+      setError(\`Translation failed: \${err.message}\`);
+    } finally {
+      setIsTranslating(false);
+    }
+  }, [projectId, applyProject]);
+
+  const saveTrackChange = useCallback(async (url, method, body) => {
+    if (!projectId) return;
+
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        ...(body && { body: JSON.stringify(body) }),
+      });
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.error || 'Request failed');
+      }
+
+      applyProject(result.project);
+    } catch (err) {
+      setError(\`Could not update captions: \${err.message}\`);
+    }
+  }, [projectId, applyProject]);
+
+  const handleTransliterate = useCallback(async (script, track) => {
+    setIsConverting(true);
+    await saveTrackChange(\`/api/projects/\${projectId}/transliterate\`, 'POST', { script, ...(track && { track }) });
+    setIsConverting(false);
+  }, [projectId, saveTrackChange]);
+
+  const handleShowTrack = useCallback((language) => (
+    saveTrackChange(\`/api/projects/\${projectId}\`, 'PUT', { secondaryTrack: language })
+  ), [projectId, saveTrackChange]);
+
+  const handleDeleteTrack = useCallback((language) => (
+    saveTrackChange(\`/api/projects/\${projectId}/tracks/\${language}\`, 'DELETE')
+  ), [projectId, saveTrackChange]);
+
+  const handleCancel = useCallback(async () => {
+    if (!activeJobId) return;
+
+    try {
+      await fetch(\`/api/jobs/\${activeJobId}/cancel\`, { method: 'POST' });
+    } catch (err) {
+      setError(\`Cancel failed: \${err.message}\`);
+    }
+  }, [activeJobId]);
 
   return React.createElement('div', {
     className: 'min-h-screen bg-gradient-to-br from-slate-50 to-slate-100 p-8'
@@ -292,30 +1097,130 @@ const UploadPage = () => {
             }, video.originalName),
             React.createElement('p', {
               className: 'text-sm text-slate-500'
-            }, \\\`Size: \\\${(video.size / (1024 * 1024)).toFixed(2)} MB\\\`)
+            }, \`Size: \${(video.size / (1024 * 1024)).toFixed(2)} MB\`)
           ),
 
           // Caption Generation Options
           React.createElement('div', {
             className: 'space-y-3'
           },
+            // Language
+            React.createElement('div', {
+              className: 'flex items-center gap-3'
+            },
+              React.createElement('label', {
+                htmlFor: 'transcription-language',
+                className: 'text-sm font-medium text-slate-700'
+              }, 'Language'),
+              React.createElement('select', {
+                id: 'transcription-language',
+                value: language,
+                onChange: (event) => setLanguage(event.target.value),
+                className: 'flex-1 rounded-md border border-slate-200 px-3 py-2 text-sm'
+              },
+                Object.entries(LANGUAGE_OPTION_LABELS).map(([value, label]) => React.createElement('option', { key: value, value }, label))
+              )
+            ),
+
+            // Glossary terms steer the engine's spelling and its rules fix the result
+            glossaries.length > 0 && React.createElement('div', {
+              className: 'flex items-center gap-3'
+            },
+              React.createElement('label', {
+                htmlFor: 'transcription-glossary',
+                className: 'text-sm font-medium text-slate-700'
+              }, 'Glossary'),
+              React.createElement('select', {
+                id: 'transcription-glossary',
+                value: glossaryId,
+                onChange: (event) => setGlossaryId(event.target.value),
+                className: 'flex-1 rounded-md border border-slate-200 px-3 py-2 text-sm'
+              },
+                React.createElement('option', { value: '' }, 'None'),
+                glossaries.map((glossary) => React.createElement('option', {
+                  key: glossary.id,
+                  value: glossary.id
+                }, \`\${glossary.name} (\${glossary.terms.length} terms, \${glossary.rules.length} rules)\`))
+              )
+            ),
+
+            // Cached transcriptions are reused unless this is ticked
+            React.createElement('label', {
+              className: 'flex items-center gap-2 text-sm text-slate-700'
+            },
+              React.createElement('input', {
+                type: 'checkbox',
+                checked: force,
+                onChange: (event) => setForce(event.target.checked)
+              }),
+              'Transcribe again instead of using the cached transcription'
+            ),
+
+            React.createElement('label', {
+              className: 'flex items-center gap-2 text-sm text-slate-700'
+            },
+              React.createElement('input', {
+                type: 'checkbox',
+                checked: diarize,
+                onChange: (event) => setDiarize(event.target.checked)
+              }),
+              'Identify speakers (interviews, podcasts)'
+            ),
+
+            React.createElement('label', {
+              className: 'flex items-center gap-2 text-sm text-slate-700'
+            },
+              React.createElement('input', {
+                type: 'checkbox',
+                checked: sdh,
+                onChange: (event) => setSdh(event.target.checked)
+              }),
+              'SDH: caption sounds like [music], [applause] and [laughter]'
+            ),
+
+            providers.map((provider, index) => React.createElement(Button, {
+              key: provider.id,
+              onClick: () => handleGenerateCaptions(provider.id),
+              disabled: !video || isGeneratingCaptions || !provider.available || !supportsLanguage(provider, language),
+              title: !provider.available
+                ? provider.reason
+                : supportsLanguage(provider, language) ? provider.description : \`\${provider.name} can't do \${LANGUAGE_OPTION_LABELS[language]}\`,
+              className: \`w-full \${PROVIDER_BUTTON_CLASSES[index % PROVIDER_BUTTON_CLASSES.length]}\`
+            }, isGeneratingCaptions ? 'Generating...' : \`\${provider.icon} \${provider.name}\`)),
+
+            // Align My Script
+            React.createElement('textarea', {
+              value: script,
+              onChange: (event) => setScript(event.target.value),
+              placeholder: 'Already have the script? Paste it here, one caption per line, and align it to the audio',
+              rows: 4,
+              className: 'w-full rounded-md border border-slate-200 p-3 text-sm hinglish-text'
+            }),
             React.createElement(Button, {
-              onClick: () => handleGenerateCaptions('demo'),
-              disabled: !video || isGeneratingCaptions,
-              className: 'w-full bg-green-600 hover:bg-green-700'
-            }, isGeneratingCaptions ? 'Generating...' : '🎦 Generate Demo Captions'),
-            
+              onClick: () => handleGenerateCaptions('align'),
+              disabled: !video || isGeneratingCaptions || script.trim() === '',
+              className: 'w-full bg-purple-600 hover:bg-purple-700'
+            }, isGeneratingCaptions ? 'Generating...' : '📝 Align My Script')
+          ),
+
+          // Job Progress
+          progress && React.createElement(ProgressBar, {
+            progress,
+            onCancel: activeJobId ? handleCancel : null
+          }),
+
+          // Studio and Export
+          projectId && React.createElement('div', {
+            className: 'grid grid-cols-2 gap-3'
+          },
             React.createElement(Button, {
-              onClick: () => handleGenerateCaptions('whisper'),
-              disabled: !video || isGeneratingCaptions,
-              className: 'w-full bg-orange-600 hover:bg-orange-700'
-            }, isGeneratingCaptions ? 'Generating...' : '🎙️ Local Whisper.cpp'),
-            
+              onClick: () => navigate('/studio'),
+              variant: 'outline'
+            }, '🎬 Open in Studio'),
             React.createElement(Button, {
-              onClick: () => handleGenerateCaptions('gemini'),
-              disabled: !video || isGeneratingCaptions,
-              className: 'w-full bg-blue-600 hover:bg-blue-700'
-            }, isGeneratingCaptions ? 'Generating...' : '🤖 Google Gemini')
+              onClick: handleExport,
+              disabled: isRendering || isGeneratingCaptions
+            }, isRendering ? 'Exporting...' : '📦 Export MP4')
           ),
 
           // Video Preview
@@ -323,13 +1228,60 @@ const UploadPage = () => {
             className: 'aspect-video bg-black rounded-lg overflow-hidden'
           },
             React.createElement('video', {
-              src: \\\`\\\${window.location.origin}\\\${video.url}\\\`,
+              ref: videoRef,
+              src: \`\${window.location.origin}\${video.url}\`,
               controls: true,
               className: 'w-full h-full object-contain'
             })
           )
         )
-      )
+      ),
+
+      // Speakers
+      Object.keys(speakers).length > 0 && React.createElement(SpeakerPanel, {
+        speakers,
+        speakerLabels,
+        captions,
+        onUpdate: handleSpeakerUpdate,
+        onMerge: handleSpeakerMerge,
+        onLabelsChange: handleSpeakerLabelsChange
+      }),
+
+      // Translations
+      captions.length > 0 && projectId && React.createElement(TranslationPanel, {
+        projectId,
+        language: projectLanguage,
+        tracks: Object.values(tracks),
+        secondaryTrack,
+        translators,
+        isTranslating,
+        onTranslate: handleTranslate,
+        onShow: handleShowTrack,
+        onDelete: handleDeleteTrack
+      }),
+
+      // Hindi script
+      captions.length > 0 && projectId && React.createElement(ScriptPanel, {
+        captions,
+        tracks: Object.values(tracks),
+        isConverting,
+        onConvert: handleTransliterate
+      }),
+
+      // Word confidence
+      captions.length > 0 && React.createElement(ConfidencePanel, {
+        captions,
+        threshold: confidenceThreshold,
+        onThresholdChange: handleConfidenceThresholdChange,
+        onSeek: handleSeek
+      }),
+
+      // Caption Check
+      captions.length > 0 && React.createElement(CaptionCheckPanel, {
+        issues: lintIssues,
+        isLinting,
+        onLint: handleLint
+      })
     )
   );
 };
@@ -536,6 +1488,14 @@ const upload = multer({
   }
 });
 
+// Subtitle files are small, so keep them in memory
+const subtitleUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  }
+});
+
 // Routes
 app.post('/api/upload', upload.single('video'), async (req, res) => {
   try {
@@ -553,6 +1513,9 @@ app.post('/api/upload', upload.single('video'), async (req, res) => {
       url: `/uploads/${req.file.filename}`
     };
 
+    // Start an empty project so captions can be imported before any transcription
+    await saveProject(videoInfo.id, { videoPath: videoInfo.url });
+
     res.json({
       success: true,
       video: videoInfo
@@ -563,70 +1526,1068 @@ app.post('/api/upload', upload.single('video'), async (req, res) => {
   }
 });
 
-app.post('/api/generate-captions', async (req, res) => {
+// Transcribe a video and store the captions in its project. Runs inside the job queue.
+const generateCaptions = async ({ videoPath, method = 'gemini', language = 'auto', model, preset, segmentation, script, vad, diarize, sdh, glossary: glossaryId, force = false }, { signal, onProgress }) => {
+  const fullPath = path.join(__dirname, '..', videoPath);
+
+  if (!(await fs.pathExists(fullPath))) {
+    throw new Error('Video file not found');
+  }
+
+  console.log('Generating captions for:', fullPath);
+
+  const reportProgress = (progress) => onProgress({ method, ...progress });
+
+  // Script alignment takes its timings from whisper.cpp
+  const provider = getProvider(method === 'align' ? 'whisper' : method);
+
+  if (!provider) {
+    throw new Error(`Unknown transcription provider: ${method}`);
+  }
+
+  // The glossary could have been deleted while the job waited in the queue
+  const glossary = glossaryId ? await getGlossary(glossaryId) : null;
+
+  if (glossaryId && !glossary) {
+    throw new Error(`Glossary not found: ${glossaryId}`);
+  }
+
+  const prompt = getGlossaryPrompt(glossary);
+
+  // Every stage that reads the audio shares one extraction, deleted when the job ends
+  const audio = createAudioSource(fullPath, { signal });
+
+  try {
+    return await runCaptionStages({ videoPath, fullPath, method, language, model, preset, segmentation, script, vad, diarize, sdh, force }, {
+      provider,
+      glossary,
+      prompt,
+      getAudioPath: audio.getAudioPath,
+      signal,
+      reportProgress
+    });
+  } finally {
+    await audio.release();
+  }
+};
+
+// The stages of generateCaptions: transcribe (or reuse the cached transcription), align or apply the
+// glossary, sound cues, speech detection, diarization and segmentation, then save the project
+const runCaptionStages = async ({ videoPath, fullPath, method, language, model, preset, segmentation, script, vad, diarize, sdh, force }, { provider, glossary, prompt, getAudioPath, signal, reportProgress }) => {
+  // Same media, provider, model, language and glossary terms: reuse the stored transcription unless asked not to
+  reportProgress({ stage: 'checking-cache' });
+  const mediaHash = await hashMedia(fullPath);
+  const cacheParams = {
+    provider: provider.id,
+    model: provider.resolveModel ? await provider.resolveModel(language, model) : model || null,
+    language,
+    prompt
+  };
+
+  let transcription = force ? null : await readCachedTranscription(mediaHash, cacheParams);
+  const cached = Boolean(transcription);
+
+  if (!transcription) {
+    transcription = await transcribe(provider.id, fullPath, { language, model, prompt, getAudioPath, signal, onProgress: reportProgress });
+    await writeCachedTranscription(mediaHash, cacheParams, transcription);
+  }
+
+  let captions = transcription.segments;
+  let transcriptionText = transcription.text || captions.map((caption) => caption.text).join(' ');
+  let alignment = null;
+
+  if (method === 'align') {
+    // Forced alignment: the script gives the words, the recognized words give the timings
+    reportProgress({ stage: 'aligning' });
+    const result = alignScript(script, captions.flatMap((caption) => caption.words));
+
+    captions = result.captions;
+    alignment = {
+      matchedWords: captions.reduce((sum, caption) => sum + caption.words.length, 0) - result.unmatched.length,
+      unmatched: result.unmatched
+    };
+    transcriptionText = script;
+  } else if (glossary) {
+    // Fix the words the engine keeps getting wrong. The script in an alignment is already spelled right.
+    captions = applyGlossary(captions, glossary);
+    transcriptionText = applyGlossaryToText(transcriptionText, glossary);
+  }
+
+  // Whisper's sound annotations ([Music], (laughs), [BLANK_AUDIO]) become cues in SDH mode and are dropped otherwise
+  captions = extractSoundCues(captions, { keep: Boolean(sdh) });
+
+  if (captions.length === 0) {
+    throw new Error('No speech found in the video');
+  }
+
+  // Voice-activity detection runs by default for providers with loose segment timings (whisper.cpp);
+  // pass vad: false to skip it, or an object of thresholds to tune it
+  if (vad !== false && (vad || provider.defaults?.vad) && !signal.aborted) {
+    captions = await tightenToSpeech(getAudioPath, captions, typeof vad === 'object' ? vad : {}, {
+      signal,
+      onProgress: reportProgress
+    });
+  }
+
+  // Tag who is speaking before segmentation, so no caption mixes two speakers. Sound cues have no speaker.
+  if (diarize && !signal.aborted) {
+    const speech = await identifySpeakers(getAudioPath, captions.filter((caption) => !caption.sound), typeof diarize === 'object' ? diarize : {}, {
+      signal,
+      onProgress: reportProgress
+    });
+    captions = [...speech, ...captions.filter((caption) => caption.sound)].sort((a, b) => a.start - b.start);
+  }
+
+  // In SDH mode, music and long silences between the captions get cues too
+  if (sdh && !signal.aborted) {
+    captions = await detectSounds(fullPath, captions, typeof sdh === 'object' ? sdh : {}, {
+      signal,
+      onProgress: reportProgress
+    });
+  }
+
+  if (signal.aborted) {
+    throw new Error('Caption generation cancelled');
+  }
+
+  // Regroup words into readable captions, whatever segments the engine returned. A script's lines stay captions.
+  captions = segmentCaptions(captions, segmentation, { keepBreaks: method === 'align' });
+
+  // Keep the captions with the video so they can be rendered later. Speaker names the project already has are kept.
+  const projectId = getProjectIdFromVideoPath(videoPath);
+  const speakers = getSpeakers(captions, (await getProject(projectId))?.speakers);
+  // The language the engine detected (or was told), not the option that was requested
+  const detectedLanguage = transcription.language || (['hi', 'en'].includes(language) ? language : null);
+  const project = await saveProject(projectId, {
+    videoPath,
+    captions,
+    speakers,
+    language: detectedLanguage,
+    ...(preset && { preset })
+  });
+
+  return {
+    projectId: project.id,
+    captions,
+    transcription: transcriptionText,
+    language: detectedLanguage,
+    method,
+    cached,
+    speakers,
+    speakerLabels: project.speakerLabels || DEFAULT_SPEAKER_LABELS,
+    ...(alignment && { alignment })
+  };
+};
+
+// Tag each caption with a speaker. Unlike speech detection this was asked for, so a failure fails the job.
+const identifySpeakers = async (getAudioPath, captions, options, { onProgress }) => {
+  onProgress({ stage: 'diarizing' });
+
+  try {
+    return await diarizeCaptions(await getAudioPath(), captions, options);
+  } catch (error) {
+    throw new Error(`Speaker diarization failed: ${error.message}`);
+  }
+};
+
+// Add cues for the music and silence in the audio. SDH was asked for, so a failure fails the job.
+const detectSounds = async (videoPath, captions, options, { signal, onProgress }) => {
+  onProgress({ stage: 'detecting-sounds' });
+
+  try {
+    return addSoundCues(captions, findSoundRegions(await measureAudio(videoPath, { signal }), options), options);
+  } catch (error) {
+    throw new Error(`Sound detection failed: ${error.message}`);
+  }
+};
+
+// Trim and split captions to the speech found in the audio. Captions are kept as they are if the audio can't be read.
+const tightenToSpeech = async (getAudioPath, captions, options, { signal, onProgress }) => {
+  onProgress({ stage: 'detecting-speech' });
+
+  try {
+    const regions = await detectSpeech(await getAudioPath(), options);
+    return applySpeechRegions(captions, regions, options);
+  } catch (error) {
+    if (signal.aborted) {
+      throw error;
+    }
+    console.error('Voice activity detection failed:', error.message);
+    return captions;
+  }
+};
+
+// Worker counts per job type, e.g. TRANSCRIPTION_WORKERS=2 in .env
+registerJobHandler('transcription', (job, context) => generateCaptions(job.params, context), {
+  concurrency: Number(process.env.TRANSCRIPTION_WORKERS) || 1
+});
+
+registerJobHandler('render', async (job, context) => {
+  const project = await getProject(job.params.projectId);
+
+  if (!project) {
+    throw new Error('Project not found');
+  }
+
+  return renderProject(project, {
+    ...context,
+    baseUrl: `http://localhost:${PORT}`,
+    outputPath: path.join(outputDir, `${job.id}.mp4`)
+  });
+}, {
+  concurrency: Number(process.env.RENDER_WORKERS) || 1
+});
+
+// Transcription providers the UI can offer, with their capabilities and whether they can run right now
+app.get('/api/providers', async (req, res) => {
+  try {
+    res.json({ success: true, providers: await listProviders() });
+  } catch (error) {
+    console.error('Provider list error:', error);
+    res.status(500).json({ error: 'Failed to list providers', details: error.message });
+  }
+});
+
+// Glossaries: terms for the transcription prompt and find/replace rules for its output
+app.get('/api/glossaries', async (req, res) => {
+  try {
+    res.json({ success: true, glossaries: await listGlossaries() });
+  } catch (error) {
+    console.error('Glossary list error:', error);
+    res.status(500).json({ error: 'Failed to list glossaries', details: error.message });
+  }
+});
+
+app.post('/api/glossaries', async (req, res) => {
+  try {
+    const validationError = getGlossaryError(req.body);
+
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const glossary = await saveGlossary(null, req.body);
+    res.status(201).json({ success: true, glossary });
+  } catch (error) {
+    console.error('Glossary create error:', error);
+    res.status(500).json({ error: 'Failed to create glossary', details: error.message });
+  }
+});
+
+app.get('/api/glossaries/:id', async (req, res) => {
+  try {
+    const glossary = await getGlossary(req.params.id);
+
+    if (!glossary) {
+      return res.status(404).json({ error: 'Glossary not found' });
+    }
+
+    res.json({ success: true, glossary });
+  } catch (error) {
+    console.error('Glossary load error:', error);
+    res.status(500).json({ error: 'Failed to load glossary', details: error.message });
+  }
+});
+
+// Replace a glossary's name, terms and rules
+app.put('/api/glossaries/:id', async (req, res) => {
+  try {
+    if (!(await getGlossary(req.params.id))) {
+      return res.status(404).json({ error: 'Glossary not found' });
+    }
+
+    const validationError = getGlossaryError(req.body);
+
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const glossary = await saveGlossary(req.params.id, req.body);
+    res.json({ success: true, glossary });
+  } catch (error) {
+    console.error('Glossary save error:', error);
+    res.status(500).json({ error: 'Failed to save glossary', details: error.message });
+  }
+});
+
+app.delete('/api/glossaries/:id', async (req, res) => {
+  try {
+    if (!(await deleteGlossary(req.params.id))) {
+      return res.status(404).json({ error: 'Glossary not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Glossary delete error:', error);
+    res.status(500).json({ error: 'Failed to delete glossary', details: error.message });
+  }
+});
+
+app.get('/api/translators', async (req, res) => {
+  try {
+    res.json({ success: true, translators: await listTranslators() });
+  } catch (error) {
+    console.error('Translator list error:', error);
+    res.status(500).json({ error: 'Failed to list translators', details: error.message });
+  }
+});
+
+// Installed whisper.cpp models, with size and which languages they can transcribe
+app.get('/api/models', async (req, res) => {
+  try {
+    res.json({ success: true, models: await listModels() });
+  } catch (error) {
+    console.error('Model list error:', error);
+    res.status(500).json({ error: 'Failed to list models', details: error.message });
+  }
+});
+
+// Used for whisper.cpp transcriptions that don't name a model
+app.put('/api/models/default', async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (typeof name !== 'string' || name === '') {
+      return res.status(400).json({ error: 'Model name is required' });
+    }
+
+    if (!(await getModel(name))) {
+      return res.status(404).json({ error: `Unknown whisper model: ${name}` });
+    }
+
+    res.json({ success: true, model: await setDefaultModel(name) });
+  } catch (error) {
+    console.error('Default model error:', error);
+    res.status(500).json({ error: 'Failed to set default model', details: error.message });
+  }
+});
+
+// Copy models from a file or directory on this machine, e.g. a USB stick on an offline laptop
+app.post('/api/models/import', async (req, res) => {
+  try {
+    const { path: sourcePath } = req.body;
+
+    if (typeof sourcePath !== 'string' || sourcePath.trim() === '') {
+      return res.status(400).json({ error: 'A file or directory path is required' });
+    }
+
+    if (!(await fs.pathExists(sourcePath))) {
+      return res.status(404).json({ error: `Path not found: ${sourcePath}` });
+    }
+
+    const results = await importModels(sourcePath);
+
+    if (results.length === 0) {
+      return res.status(400).json({ error: 'No ggml-*.bin model files found' });
+    }
+
+    res.json({ success: true, results, models: await listModels() });
+  } catch (error) {
+    console.error('Model import error:', error);
+    res.status(500).json({ error: 'Failed to import models', details: error.message });
+  }
+});
+
+// Checksum a model against the given checksum (SHA-1 or SHA-256) or the one recorded at import
+app.post('/api/models/:name/verify', async (req, res) => {
+  try {
+    const { checksum } = req.body || {};
+
+    if (!(await getModel(req.params.name))) {
+      return res.status(404).json({ error: `Unknown whisper model: ${req.params.name}` });
+    }
+
+    if (checksum !== undefined && (typeof checksum !== 'string' || !/^[0-9a-f]{40}([0-9a-f]{24})?$/i.test(checksum))) {
+      return res.status(400).json({ error: 'Checksum must be a SHA-1 or SHA-256 hex digest' });
+    }
+
+    res.json({ success: true, verification: await verifyModel(req.params.name, checksum) });
+  } catch (error) {
+    console.error('Model verification error:', error);
+    res.status(500).json({ error: 'Failed to verify model', details: error.message });
+  }
+});
+
+// Queue caption generation; follow it through /api/jobs/:id or /api/jobs/:id/events
+app.post('/api/generate-captions', async (req, res) => {
+  try {
+    const { videoPath, method = 'gemini', language = 'auto', model, preset, segmentation, script, vad, diarize, sdh, glossary, force } = req.body;
+    
+    if (!videoPath) {
+      return res.status(400).json({ error: 'Video path is required' });
+    }
+
+    if (method === 'align' && (typeof script !== 'string' || script.trim() === '')) {
+      return res.status(400).json({ error: 'A script is required to align captions' });
+    }
+
+    const provider = getProvider(method === 'align' ? 'whisper' : method);
+
+    if (!provider) {
+      return res.status(400).json({ error: `Unknown transcription provider: ${method}` });
+    }
+
+    if (!LANGUAGE_OPTIONS.includes(language)) {
+      return res.status(400).json({ error: `Language must be one of: ${LANGUAGE_OPTIONS.join(', ')}` });
+    }
+
+    if (!supportsLanguage(provider, language)) {
+      return res.status(400).json({ error: `${provider.name} does not support language "${language}"` });
+    }
+
+    if (model !== undefined) {
+      if (!provider.capabilities.models) {
+        return res.status(400).json({ error: `${provider.name} does not support choosing a model` });
+      }
+
+      const installedModel = await getModel(model);
+
+      if (!installedModel) {
+        const installed = (await listModels()).map(({ name }) => name);
+        return res.status(400).json({ error: `Unknown whisper model: ${model}. Installed: ${installed.join(', ') || 'none'}` });
+      }
+
+      const languageError = getModelLanguageError(installedModel, language);
+
+      if (languageError) {
+        return res.status(400).json({ error: languageError });
+      }
+    }
+
+    const availability = await provider.getAvailability();
+
+    if (!availability.available) {
+      return res.status(400).json({ error: `${provider.name} is not available: ${availability.reason}` });
+    }
+
+    if (segmentation !== undefined && (typeof segmentation !== 'object' || Array.isArray(segmentation))) {
+      return res.status(400).json({ error: 'Segmentation options must be an object' });
+    }
+
+    if (vad !== undefined && typeof vad !== 'boolean' && (typeof vad !== 'object' || vad === null || Array.isArray(vad))) {
+      return res.status(400).json({ error: 'VAD options must be true, false or an object of thresholds' });
+    }
+
+    if (diarize !== undefined && typeof diarize !== 'boolean' && (typeof diarize !== 'object' || diarize === null || Array.isArray(diarize))) {
+      return res.status(400).json({ error: 'Diarization options must be true, false or an object like { "speakers": 2 }' });
+    }
+
+    if (diarize?.speakers !== undefined && !(Number.isInteger(diarize.speakers) && diarize.speakers > 0)) {
+      return res.status(400).json({ error: 'Speaker count must be a positive whole number' });
+    }
+
+    if (sdh !== undefined && typeof sdh !== 'boolean' && (typeof sdh !== 'object' || sdh === null || Array.isArray(sdh))) {
+      return res.status(400).json({ error: 'SDH options must be true, false or an object of thresholds' });
+    }
+
+    if (force !== undefined && typeof force !== 'boolean') {
+      return res.status(400).json({ error: 'force must be true or false' });
+    }
+
+    if (glossary !== undefined && (typeof glossary !== 'string' || !(await getGlossary(glossary)))) {
+      return res.status(400).json({ error: `Unknown glossary: ${glossary}` });
+    }
+
+    const fullPath = path.join(__dirname, '..', videoPath);
+    
+    if (!fs.existsSync(fullPath)) {
+      return res.status(404).json({ error: 'Video file not found' });
+    }
+
+    const job = enqueueJob('transcription', {
+      videoPath,
+      method,
+      language,
+      model,
+      preset,
+      segmentation,
+      vad,
+      diarize,
+      sdh,
+      glossary,
+      force,
+      ...(method === 'align' && { script })
+    });
+
+    res.status(202).json({ success: true, job });
+  } catch (error) {
+    console.error('Caption generation error:', error);
+    res.status(500).json({ 
+      error: 'Failed to generate captions',
+      details: error.message 
+    });
+  }
+});
+
+// Project routes
+app.get('/api/projects/:id', async (req, res) => {
+  try {
+    const project = await getProject(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    res.json({ success: true, project });
+  } catch (error) {
+    console.error('Project load error:', error);
+    res.status(500).json({ error: 'Failed to load project', details: error.message });
+  }
+});
+
+// Forget the cached transcriptions of a project's video, so the next request transcribes it again
+app.delete('/api/projects/:id/transcription-cache', async (req, res) => {
+  try {
+    const project = await getProject(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const videoPath = path.join(__dirname, '..', project.videoPath);
+
+    if (!(await fs.pathExists(videoPath))) {
+      return res.status(404).json({ error: 'Video file not found' });
+    }
+
+    const removed = await clearCachedTranscriptions(await hashMedia(videoPath));
+    res.json({ success: true, removed });
+  } catch (error) {
+    console.error('Transcription cache error:', error);
+    res.status(500).json({ error: 'Failed to clear transcription cache', details: error.message });
+  }
+});
+
+app.put('/api/projects/:id', async (req, res) => {
+  try {
+    const { captions, preset, speakers, speakerLabels, secondaryTrack } = req.body;
+    const existing = await getProject(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (captions !== undefined && !Array.isArray(captions)) {
+      return res.status(400).json({ error: 'Captions must be an array' });
+    }
+
+    if (speakers !== undefined && (typeof speakers !== 'object' || speakers === null || Array.isArray(speakers)
+      || !Object.values(speakers).every((speaker) => typeof speaker?.name === 'string' && isSpeakerColor(speaker.color)))) {
+      return res.status(400).json({ error: 'Speakers must map speaker ids to { name, color } with a #rrggbb color' });
+    }
+
+    if (speakerLabels !== undefined && !SPEAKER_LABEL_MODES.includes(speakerLabels)) {
+      return res.status(400).json({ error: `Speaker labels must be one of: ${SPEAKER_LABEL_MODES.join(', ')}` });
+    }
+
+    if (secondaryTrack && !existing.tracks?.[secondaryTrack]) {
+      return res.status(400).json({ error: `Unknown track: ${secondaryTrack}` });
+    }
+
+    const project = await saveProject(req.params.id, {
+      ...(captions && { captions }),
+      ...(preset && { preset }),
+      ...(speakers && { speakers }),
+      ...(speakerLabels && { speakerLabels }),
+      // null stops showing a second track
+      ...(secondaryTrack !== undefined && { secondaryTrack: secondaryTrack || null })
+    });
+
+    res.json({ success: true, project });
+  } catch (error) {
+    console.error('Project save error:', error);
+    res.status(500).json({ error: 'Failed to save project', details: error.message });
+  }
+});
+
+// Rename a speaker or change their color
+app.put('/api/projects/:id/speakers/:speakerId', async (req, res) => {
+  try {
+    const { name, color } = req.body;
+    const project = await getProject(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const speaker = project.speakers?.[req.params.speakerId];
+
+    if (!speaker) {
+      return res.status(404).json({ error: `Unknown speaker: ${req.params.speakerId}` });
+    }
+
+    if (name !== undefined && (typeof name !== 'string' || name.trim() === '')) {
+      return res.status(400).json({ error: 'Speaker name must not be empty' });
+    }
+
+    if (color !== undefined && !isSpeakerColor(color)) {
+      return res.status(400).json({ error: 'Speaker color must be a #rrggbb hex color' });
+    }
+
+    const updated = await saveProject(project.id, {
+      speakers: {
+        ...project.speakers,
+        [req.params.speakerId]: {
+          name: name !== undefined ? name.trim() : speaker.name,
+          color: color || speaker.color
+        }
+      }
+    });
+
+    res.json({ success: true, project: updated });
+  } catch (error) {
+    console.error('Speaker update error:', error);
+    res.status(500).json({ error: 'Failed to update speaker', details: error.message });
+  }
+});
+
+// Merge one speaker into another, e.g. when diarization split one person in two
+app.post('/api/projects/:id/speakers/merge', async (req, res) => {
+  try {
+    const { from, into } = req.body;
+    const project = await getProject(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const speakers = project.speakers || {};
+
+    if (!speakers[from] || !speakers[into]) {
+      return res.status(404).json({ error: `Unknown speaker: ${speakers[from] ? into : from}` });
+    }
+
+    if (from === into) {
+      return res.status(400).json({ error: 'Cannot merge a speaker into itself' });
+    }
+
+    const updated = await saveProject(project.id, mergeSpeakers(project.captions, speakers, from, into));
+    res.json({ success: true, project: updated });
+  } catch (error) {
+    console.error('Speaker merge error:', error);
+    res.status(500).json({ error: 'Failed to merge speakers', details: error.message });
+  }
+});
+
+// Caption tracks: the original and its translations
+app.get('/api/projects/:id/tracks', async (req, res) => {
+  try {
+    const project = await getProject(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    res.json({ success: true, tracks: listTracks(project), secondaryTrack: project.secondaryTrack || null });
+  } catch (error) {
+    console.error('Track list error:', error);
+    res.status(500).json({ error: 'Failed to list tracks', details: error.message });
+  }
+});
+
+// Translate a track into a new one (or over an existing translation), keeping the cue timings.
+// Body: { to, from?, translator? }; from defaults to the original track's language.
+app.post('/api/projects/:id/tracks', async (req, res) => {
+  try {
+    const { to, translator: translatorId = DEFAULT_TRANSLATOR } = req.body;
+    const project = await getProject(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const from = req.body.from || project.language;
+
+    if (!from) {
+      return res.status(400).json({ error: 'The project\'s language is unknown; say which language to translate from' });
+    }
+
+    if (!isLanguageCode(to) || !isLanguageCode(from)) {
+      return res.status(400).json({ error: 'Languages must be language codes such as "hi" or "en"' });
+    }
+
+    if (to === project.language) {
+      return res.status(400).json({ error: `The original captions are already in ${to}` });
+    }
+
+    const translator = getTranslator(translatorId);
+
+    if (!translator) {
+      return res.status(400).json({ error: `Unknown translator: ${translatorId}` });
+    }
+
+    if (!supportsPair(translator, from, to)) {
+      return res.status(400).json({ error: `${translator.name} can't translate ${from} to ${to}` });
+    }
+
+    // Without a track of its own, the source language means the original captions
+    const source = getTrackCaptions(project, from) || project.captions;
+
+    if (source.length === 0) {
+      return res.status(400).json({ error: 'Project has no captions to translate' });
+    }
+
+    const captions = await translateCaptions(source, { from, to, translator: translator.id });
+    const track = { language: to, source: from, translator: translator.id, captions, updatedAt: new Date().toISOString() };
+    const updated = await saveProject(project.id, { tracks: { ...project.tracks, [to]: track } });
+
+    res.status(201).json({ success: true, track, project: updated });
+  } catch (error) {
+    console.error('Translation error:', error);
+    res.status(500).json({ error: 'Failed to translate captions', details: error.message });
+  }
+});
+
+app.get('/api/projects/:id/tracks/:language', async (req, res) => {
   try {
-    const { videoPath, method = 'gemini' } = req.body;
-    
-    if (!videoPath) {
-      return res.status(400).json({ error: 'Video path is required' });
+    const project = await getProject(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
     }
 
-    const fullPath = path.join(__dirname, '..', videoPath);
-    
-    if (!fs.existsSync(fullPath)) {
-      return res.status(404).json({ error: 'Video file not found' });
+    const track = project.tracks?.[req.params.language];
+
+    if (!track) {
+      return res.status(404).json({ error: `Unknown track: ${req.params.language}` });
     }
 
-    console.log('Generating captions for:', fullPath);
+    res.json({ success: true, track });
+  } catch (error) {
+    console.error('Track load error:', error);
+    res.status(500).json({ error: 'Failed to load track', details: error.message });
+  }
+});
 
-    let captions = [];
-    let transcriptionText = '';
+// Save corrections to a translation
+app.put('/api/projects/:id/tracks/:language', async (req, res) => {
+  try {
+    const { captions } = req.body;
+    const project = await getProject(req.params.id);
 
-    // Try different methods based on availability
-    if (method === 'gemini' && genAI) {
-      try {
-        const transcription = await transcribeWithGemini(fullPath, genAI);
-        
-        captions = processGeminiTranscription(transcription);
-        transcriptionText = transcription.text;
-      } catch (error) {
-        console.error('Gemini API error:', error.message);
-        // Fall back to demo captions
-        captions = generateDemoCaptions();
-        transcriptionText = 'Demo captions generated (Gemini API error: ' + error.message + ')';
-      }
-    } else if (method === 'whisper') {
-      try {
-        const transcription = await transcribeWithWhisperCpp(fullPath);
-        
-        captions = processWhisperTranscription(transcription);
-        transcriptionText = transcription.text;
-      } catch (error) {
-        console.error('Whisper.cpp error:', error.message);
-        // Fall back to demo captions
-        captions = generateDemoCaptions();
-        transcriptionText = 'Demo captions generated (Whisper.cpp error: ' + error.message + ')';
-      }
-    } else {
-      // Generate demo captions for testing
-      captions = generateDemoCaptions();
-      transcriptionText = 'Demo captions generated (for testing purposes)';
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const track = project.tracks?.[req.params.language];
+
+    if (!track) {
+      return res.status(404).json({ error: `Unknown track: ${req.params.language}` });
+    }
+
+    if (!Array.isArray(captions)) {
+      return res.status(400).json({ error: 'Captions must be an array' });
+    }
+
+    const updatedTrack = { ...track, captions, updatedAt: new Date().toISOString() };
+    const updated = await saveProject(project.id, { tracks: { ...project.tracks, [track.language]: updatedTrack } });
+
+    res.json({ success: true, track: updatedTrack, project: updated });
+  } catch (error) {
+    console.error('Track save error:', error);
+    res.status(500).json({ error: 'Failed to save track', details: error.message });
+  }
+});
+
+app.delete('/api/projects/:id/tracks/:language', async (req, res) => {
+  try {
+    const project = await getProject(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (!project.tracks?.[req.params.language]) {
+      return res.status(404).json({ error: `Unknown track: ${req.params.language}` });
+    }
+
+    const tracks = { ...project.tracks };
+    delete tracks[req.params.language];
+
+    const updated = await saveProject(project.id, {
+      tracks,
+      ...(project.secondaryTrack === req.params.language && { secondaryTrack: null })
+    });
+
+    res.json({ success: true, project: updated });
+  } catch (error) {
+    console.error('Track delete error:', error);
+    res.status(500).json({ error: 'Failed to delete track', details: error.message });
+  }
+});
+
+// Rewrite a track's Hindi in Devanagari or Roman script, word by word (body: { script, track? }).
+// Without a track, the original captions are converted.
+app.post('/api/projects/:id/transliterate', async (req, res) => {
+  try {
+    const { script, track } = req.body;
+    const project = await getProject(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (!SCRIPTS.includes(script)) {
+      return res.status(400).json({ error: `Script must be one of: ${SCRIPTS.join(', ')}` });
+    }
+
+    if (track && !project.tracks?.[track]) {
+      return res.status(404).json({ error: `Unknown track: ${track}` });
     }
 
+    const updated = track
+      ? await saveProject(project.id, {
+        tracks: {
+          ...project.tracks,
+          [track]: {
+            ...project.tracks[track],
+            captions: transliterateCaptions(project.tracks[track].captions, script),
+            updatedAt: new Date().toISOString()
+          }
+        }
+      })
+      : await saveProject(project.id, { captions: transliterateCaptions(project.captions, script) });
+
+    res.json({ success: true, project: updated });
+  } catch (error) {
+    console.error('Transliteration error:', error);
+    res.status(500).json({ error: 'Failed to transliterate captions', details: error.message });
+  }
+});
+
+// Words the engine was unsure of, for review: GET /api/projects/:id/low-confidence-words?threshold=0.6&track=hi
+app.get('/api/projects/:id/low-confidence-words', async (req, res) => {
+  try {
+    const project = await getProject(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const threshold = req.query.threshold === undefined ? DEFAULT_CONFIDENCE_THRESHOLD : Number(req.query.threshold);
+
+    if (!Number.isFinite(threshold) || threshold < 0 || threshold > 1) {
+      return res.status(400).json({ error: 'Threshold must be a number from 0 to 1' });
+    }
+
+    const { track } = req.query;
+    const captions = track ? getTrackCaptions(project, track) : project.captions;
+
+    if (!captions) {
+      return res.status(404).json({ error: `Unknown track: ${track}` });
+    }
+
+    const words = findLowConfidenceWords(captions, threshold);
+    const scored = captions.some((caption) => (caption.words || []).some((word) => isProbability(word.probability)));
+
+    res.json({ success: true, threshold, scored, words });
+  } catch (error) {
+    console.error('Confidence review error:', error);
+    res.status(500).json({ error: 'Failed to list low-confidence words', details: error.message });
+  }
+});
+
+// Check captions against the style guide. Pass fix: true (or a list of issue ids) to apply the safe fixes.
+app.post('/api/captions/lint', (req, res) => {
+  try {
+    const { captions, options = {}, fix } = req.body;
+
+    if (!Array.isArray(captions)) {
+      return res.status(400).json({ error: 'Captions must be an array' });
+    }
+
+    if (fix !== undefined && typeof fix !== 'boolean' && !Array.isArray(fix)) {
+      return res.status(400).json({ error: 'Fix must be true or a list of issue ids' });
+    }
+
+    const issues = lintCaptions(captions, options);
+
+    if (!fix) {
+      return res.json({ success: true, issues });
+    }
+
+    const result = fixCaptions(captions, issues, Array.isArray(fix) ? fix : null);
+
     res.json({
       success: true,
-      captions,
-      transcription: transcriptionText,
-      method: captions.length > 0 ? 'demo' : 'failed'
+      captions: result.captions,
+      fixed: result.fixed,
+      issues: lintCaptions(result.captions, options)
     });
+  } catch (error) {
+    console.error('Caption lint error:', error);
+    res.status(500).json({ error: 'Failed to check captions', details: error.message });
+  }
+});
+
+// Subtitle export, e.g. GET /api/projects/:id/captions.srt, or ?track=en for a translation
+app.get('/api/projects/:id/captions.:format', async (req, res) => {
+  try {
+    const subtitleFormat = getSubtitleFormat(req.params.format);
+
+    if (!subtitleFormat) {
+      return res.status(400).json({ error: `Unsupported subtitle format: ${req.params.format}` });
+    }
+
+    const project = await getProject(req.params.id);
 
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const { track } = req.query;
+    const captions = track ? getTrackCaptions(project, track) : project.captions;
+
+    if (!captions) {
+      return res.status(404).json({ error: `Unknown track: ${track}` });
+    }
+
+    const filename = track ? `${project.id}.${track}` : project.id;
+
+    res.header('Content-Type', subtitleFormat.contentType);
+    res.header('Content-Disposition', `attachment; filename="${encodeURIComponent(filename)}.${req.params.format.toLowerCase()}"`);
+    res.send(subtitleFormat.serialize(captions, project));
   } catch (error) {
-    console.error('Caption generation error:', error);
-    res.status(500).json({ 
-      error: 'Failed to generate captions',
-      details: error.message 
-    });
+    console.error('Subtitle export error:', error);
+    res.status(500).json({ error: 'Failed to export captions', details: error.message });
+  }
+});
+
+// Subtitle import: upload a file in the "subtitles" field to replace the project's captions
+app.post('/api/projects/:id/captions.:format', subtitleUpload.single('subtitles'), async (req, res) => {
+  try {
+    const subtitleFormat = getSubtitleFormat(req.params.format);
+
+    if (!subtitleFormat) {
+      return res.status(400).json({ error: `Unsupported subtitle format: ${req.params.format}` });
+    }
+
+    if (!subtitleFormat.parse) {
+      return res.status(400).json({ error: `Importing ${req.params.format} subtitles is not supported` });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'No subtitle file uploaded' });
+    }
+
+    if (!(await getProject(req.params.id))) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const segments = subtitleFormat.parse(req.file.buffer.toString('utf8'));
+
+    if (segments.length === 0) {
+      return res.status(400).json({ error: 'No captions found in subtitle file' });
+    }
+
+    // Word timings from the file are kept; otherwise they are estimated the same way as for engine segments
+    const captions = normalizeSegments(segments);
+    const project = await saveProject(req.params.id, { captions });
+
+    res.json({ success: true, project, captions });
+  } catch (error) {
+    console.error('Subtitle import error:', error);
+    res.status(400).json({ error: 'Failed to import captions', details: error.message });
+  }
+});
+
+// Queue an MP4 export of a project with Remotion's renderMedia
+app.post('/api/render', async (req, res) => {
+  try {
+    const { projectId } = req.body;
+
+    if (!projectId) {
+      return res.status(400).json({ error: 'Project id is required' });
+    }
+
+    const project = await getProject(projectId);
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (!project.captions || project.captions.length === 0) {
+      return res.status(400).json({ error: 'Project has no captions to render' });
+    }
+
+    const job = enqueueJob('render', { projectId });
+
+    res.status(202).json({ success: true, job });
+  } catch (error) {
+    console.error('Render error:', error);
+    res.status(500).json({ error: 'Failed to start render', details: error.message });
+  }
+});
+
+app.get('/api/render/:id', (req, res) => {
+  const job = getJob(req.params.id);
+
+  if (!job || job.type !== 'render') {
+    return res.status(404).json({ error: 'Render job not found' });
+  }
+
+  res.json({
+    success: true,
+    status: job.status,
+    outputPath: job.result?.outputPath || null,
+    error: job.error,
+    job
+  });
+});
+
+// Job queue routes
+app.get('/api/jobs', (req, res) => {
+  const { type, status } = req.query;
+  res.json({ success: true, jobs: listJobs({ type, status }) });
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
   }
+
+  res.json({ success: true, job });
+});
+
+// Live progress for render and transcription jobs
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  streamProgress(job.id, req, res, getJobEvent(job));
+});
+
+app.post('/api/jobs/:id/cancel', (req, res) => {
+  const job = getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  if (isFinalStatus(job.status)) {
+    return res.status(409).json({ error: `Job already ${job.status}` });
+  }
+
+  res.json({ success: true, job: cancelJob(job.id) });
+});
+
+app.post('/api/jobs/:id/retry', (req, res) => {
+  const job = getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  if (!['failed', 'cancelled'].includes(job.status)) {
+    return res.status(409).json({ error: 'Only failed or cancelled jobs can be retried' });
+  }
+
+  res.json({ success: true, job: retryJob(job.id) });
 });
 
 // Handle OPTIONS requests for uploads
@@ -807,353 +2768,20 @@ app.post('/api/extract-audio', async (req, res) => {
   }
 });
 
-// Process transcription to create timed caption segments using functional approach
-const processTranscription = (transcription) => {
-  if (!transcription.words || transcription.words.length === 0) {
-    // Fallback: create segments from full text
-    return [{
-      id: 1,
-      start: 0,
-      end: 5,
-      text: transcription.text || 'No captions available'
-    }];
-  }
-
-  const { words } = transcription;
-  const wordsPerSegment = 8; // Adjust based on preference
-  
-  // Create segments using functional approach
-  const segments = Array.from(
-    { length: Math.ceil(words.length / wordsPerSegment) },
-    (_, index) => {
-      const startIdx = index * wordsPerSegment;
-      const segmentWords = words.slice(startIdx, startIdx + wordsPerSegment);
-      
-      return {
-        id: index + 1,
-        start: segmentWords[0].start,
-        end: segmentWords[segmentWords.length - 1].end,
-        text: segmentWords.map(w => w.word).join(' ').trim(),
-        words: segmentWords
-      };
-    }
-  );
-
-  return segments;
-};
-
-// Generate demo captions for testing when API is not available
-const generateDemoCaptions = () => {
-  const demoTexts = [
-    "Welcome to this amazing video demonstration",
-    "यह एक बेहतरीन वीडियो का उदाहरण है", // Hindi text for Hinglish testing
-    "This shows how captions work perfectly",
-    "Multiple styles और effects के साथ", // Mixed Hindi-English
-    "Beautiful typography and smooth animations",
-    "Perfect for all your video needs"
-  ];
-
-  return demoTexts.map((text, index) => ({
-    id: index + 1,
-    start: index * 3,
-    end: (index + 1) * 3,
-    text,
-    words: text.split(' ').map((word, wordIndex) => ({
-      word,
-      start: index * 3 + (wordIndex * 0.4),
-      end: index * 3 + ((wordIndex + 1) * 0.4)
-    }))
-  }));
-};
-
-// Function to extract audio from video using ffmpeg
-const extractAudioFromVideo = async (videoPath) => {
-  const audioPath = videoPath.replace(/\.[^/.]+$/, '.wav');
-  
-  return new Promise((resolve, reject) => {
-    const ffmpeg = spawn('ffmpeg', [
-      '-i', videoPath,
-      '-ar', '16000',  // 16kHz sample rate for Whisper
-      '-ac', '1',      // Mono channel
-      '-c:a', 'pcm_s16le', // PCM 16-bit little-endian
-      '-y',            // Overwrite output file
-      audioPath
-    ]);
-
-    ffmpeg.stderr.on('data', (data) => {
-      console.log(`ffmpeg: ${data}`);
-    });
-
-    ffmpeg.on('close', (code) => {
-      if (code === 0) {
-        resolve(audioPath);
-      } else {
-        reject(new Error(`ffmpeg exited with code ${code}`));
-      }
-    });
-
-    ffmpeg.on('error', (error) => {
-      reject(error);
-    });
-  });
-};
-
-// Function to transcribe audio using whisper.cpp
-const transcribeWithWhisperCpp = async (videoPath) => {
-  try {
-    // First extract audio from video
-    const audioPath = await extractAudioFromVideo(videoPath);
-    
-    // Path to whisper.cpp binary and model
-    const whisperBinary = path.join(__dirname, '../whisper.cpp/build/bin/whisper-cli');
-    const modelPath = path.join(__dirname, '../whisper.cpp/models/ggml-base.en.bin');
-    
-    return new Promise((resolve, reject) => {
-      // Set a timeout for the whisper process
-      const timeout = setTimeout(() => {
-        whisper.kill('SIGTERM');
-        reject(new Error('Whisper.cpp process timed out after 60 seconds'));
-      }, 60000);
-
-      const whisper = spawn(whisperBinary, [
-        '-m', modelPath,
-        '-f', audioPath,
-        '--output-json',
-        '--no-prints'
-      ]);
-
-      let output = '';
-      let errorOutput = '';
-
-      whisper.stdout.on('data', (data) => {
-        output += data.toString();
-      });
-
-      whisper.stderr.on('data', (data) => {
-        errorOutput += data.toString();
-      });
-
-      whisper.on('close', async (code) => {
-        clearTimeout(timeout);
-        
-        try {
-          // Since whisper.cpp saves to file, read the JSON file
-          const jsonPath = audioPath + '.json';
-          let result;
-          
-          if (await fs.pathExists(jsonPath)) {
-            const jsonContent = await fs.readFile(jsonPath, 'utf8');
-            result = JSON.parse(jsonContent);
-            // Clean up JSON file
-            await fs.unlink(jsonPath).catch(() => {});
-          } else {
-            // Fallback: parse stdout or create simple response
-            if (output.trim()) {
-              result = {
-                text: output.trim(),
-                segments: [{
-                  start: 0,
-                  end: 10,
-                  text: output.trim()
-                }]
-              };
-            } else {
-              throw new Error('No output from whisper.cpp');
-            }
-          }
-          
-          // Clean up audio file
-          await fs.unlink(audioPath).catch(() => {});
-          
-          if (code === 0) {
-            resolve(result);
-          } else {
-            reject(new Error(`Whisper.cpp exited with code ${code}: ${errorOutput}`));
-          }
-        } catch (cleanupError) {
-          reject(new Error(`Error processing whisper.cpp output: ${cleanupError.message}`));
-        }
-      });
-
-      whisper.on('error', async (error) => {
-        clearTimeout(timeout);
-        // Clean up files
-        await fs.unlink(audioPath).catch(() => {});
-        await fs.unlink(audioPath + '.json').catch(() => {});
-        reject(error);
-      });
-    });
-  } catch (error) {
-    console.error('Whisper.cpp transcription error:', error);
-    throw error;
-  }
-};
-
-// Process whisper.cpp transcription to create timed caption segments
-const processWhisperTranscription = (transcription) => {
-  // Handle whisper.cpp JSON output format
-  if (transcription.transcription && Array.isArray(transcription.transcription)) {
-    const segments = transcription.transcription;
-    
-    return segments.map((segment, index) => {
-      const startTime = segment.offsets?.from / 1000 || 0;
-      const endTime = segment.offsets?.to / 1000 || startTime + 3;
-      const text = segment.text?.trim() || '';
-      
-      // Create word-level timestamps
-      const words = text.split(' ').filter(word => word.length > 0).map((word, wordIndex, allWords) => {
-        const segmentDuration = endTime - startTime;
-        const wordDuration = segmentDuration / allWords.length;
-        const wordStartTime = startTime + (wordIndex * wordDuration);
-        
-        return {
-          word: word,
-          start: wordStartTime,
-          end: wordStartTime + wordDuration
-        };
-      });
-      
-      return {
-        id: index + 1,
-        start: startTime,
-        end: endTime,
-        text: text,
-        words: words
-      };
-    });
-  }
-  
-  // Fallback for other formats or empty transcription
-  if (!transcription.segments || transcription.segments.length === 0) {
-    // Create segments from full text if available
-    const fullText = transcription.text || 'No captions available';
-    return [{
-      id: 1,
-      start: 0,
-      end: 5,
-      text: fullText,
-      words: fullText.split(' ').map((word, index) => ({
-        word,
-        start: index * 0.5,
-        end: (index + 1) * 0.5
-      }))
-    }];
-  }
-
-  // Handle standard segments format
-  return transcription.segments.map((segment, index) => ({
-    id: index + 1,
-    start: segment.start || 0,
-    end: segment.end || segment.start + 3,
-    text: segment.text || '',
-    words: segment.words ? segment.words.map(word => ({
-      word: word.word || word.text,
-      start: word.start || segment.start,
-      end: word.end || word.start + 0.5
-    })) : segment.text.split(' ').map((word, wordIndex) => {
-      const wordDuration = (segment.end - segment.start) / segment.text.split(' ').length;
-      return {
-        word,
-        start: segment.start + (wordIndex * wordDuration),
-        end: segment.start + ((wordIndex + 1) * wordDuration)
-      };
-    })
-  }));
-};
-
-// Function to transcribe audio using Gemini API
-const transcribeWithGemini = async (videoPath, genAI) => {
-  try {
-    // Read the video file
-    const videoData = await fs.readFile(videoPath);
-    
-    // Convert to base64
-    const base64Video = videoData.toString('base64');
-    
-    // Get the generative model
-    const model = genAI.getGenerativeModel({ model: 'gemini-1.5-flash' });
-    
-    // Create the prompt for transcription
-    const prompt = `Please transcribe the audio from this video file. Provide the transcription as plain text with approximate timestamps. Format the response as JSON with the following structure:
-{
-  "text": "full transcription text",
-  "segments": [
-    {
-      "start": 0.0,
-      "end": 3.0,
-      "text": "segment text"
-    }
-  ]
-}`;
-    
-    const result = await model.generateContent([
-      {
-        inlineData: {
-          data: base64Video,
-          mimeType: 'video/mp4'
-        }
-      },
-      prompt
-    ]);
-    
-    const response = await result.response;
-    const text = response.text();
-    
-    // Try to parse JSON response
-    try {
-      const parsed = JSON.parse(text.replace(/```json\n?|```/g, '').trim());
-      return parsed;
-    } catch (parseError) {
-      // If JSON parsing fails, create a simple response
-      return {
-        text: text,
-        segments: [{
-          start: 0,
-          end: 10,
-          text: text
-        }]
-      };
-    }
-  } catch (error) {
-    console.error('Gemini transcription error:', error);
-    throw error;
-  }
-};
-
-// Process Gemini transcription to create timed caption segments
-const processGeminiTranscription = (transcription) => {
-  if (!transcription.segments || transcription.segments.length === 0) {
-    // Fallback: create segments from full text
-    return [{
-      id: 1,
-      start: 0,
-      end: 5,
-      text: transcription.text || 'No captions available'
-    }];
-  }
-
-  return transcription.segments.map((segment, index) => ({
-    id: index + 1,
-    start: segment.start,
-    end: segment.end,
-    text: segment.text,
-    words: segment.text.split(' ').map((word, wordIndex) => {
-      const wordDuration = (segment.end - segment.start) / segment.text.split(' ').length;
-      return {
-        word,
-        start: segment.start + (wordIndex * wordDuration),
-        end: segment.start + ((wordIndex + 1) * wordDuration)
-      };
-    })
-  }));
-};
+// Restore the persisted queue before taking requests, so new jobs line up behind the interrupted ones
+try {
+  await startJobQueue();
+} catch (error) {
+  console.error('Failed to restore the job queue:', error);
+  process.exit(1);
+}
 
 app.listen(PORT, async () => {
   console.log(`🚀 Server running on http://localhost:${PORT}`);
   console.log('📹 Video upload and captioning available at: /');
   console.log('🎬 Remotion Studio available at: /studio');
   console.log('Make sure to set GEMINI_API_KEY environment variable for STT functionality');
-  
+
   // Start Remotion Studio in background
   try {
     await startRemotionStudio();
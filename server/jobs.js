@@ -0,0 +1,214 @@
+import path from 'path';
+import fs from 'fs-extra';
+import { v4 as uuidv4 } from 'uuid';
+import { fileURLToPath } from 'url';
+import { isFinalStatus, publishProgress } from './progress.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Every job is saved as its own JSON file so queued work survives a restart
+export const jobsDir = path.join(__dirname, '../jobs');
+fs.ensureDirSync(jobsDir);
+
+const jobs = new Map();
+const handlers = new Map();
+const abortControllers = new Map();
+
+const getJobPath = (id) => path.join(jobsDir, `${id}.json`);
+
+// Written synchronously so concurrent updates to one job can't interleave
+const persistJob = (job) => {
+  try {
+    fs.writeJsonSync(getJobPath(job.id), job, { spaces: 2 });
+  } catch (error) {
+    console.error(`Failed to persist job ${job.id}:`, error.message);
+  }
+};
+
+const updateJob = (job, changes) => {
+  Object.assign(job, changes);
+  persistJob(job);
+};
+
+const getQueuePosition = (job) => [...jobs.values()]
+  .filter((j) => j.type === job.type && j.status === 'queued' && j.queuedAt <= job.queuedAt)
+  .length;
+
+// A job's state as a progress event
+export const getJobEvent = (job) => ({
+  type: job.type,
+  status: job.status,
+  progress: job.progress,
+  ...(job.status === 'queued' && { position: getQueuePosition(job) }),
+  ...(isFinalStatus(job.status) && { result: job.result, error: job.error })
+});
+
+const publishJob = (job) => {
+  publishProgress(job.id, getJobEvent(job));
+};
+
+// Jobs behind one that left the queue (it started, or was cancelled while waiting) move up a place.
+// A finished job frees its worker for the next queued one, which republishes as it starts.
+const publishQueuePositions = (type) => {
+  [...jobs.values()]
+    .filter((job) => job.type === type && job.status === 'queued')
+    .forEach(publishJob);
+};
+
+const runJob = async (job) => {
+  const { run } = handlers.get(job.type);
+  const abortController = new AbortController();
+  const { signal } = abortController;
+  abortControllers.set(job.id, abortController);
+
+  updateJob(job, {
+    status: 'running',
+    progress: 0,
+    attempts: job.attempts + 1,
+    startedAt: new Date().toISOString()
+  });
+  publishJob(job);
+  publishQueuePositions(job.type);
+
+  const onProgress = (progress) => {
+    if (typeof progress.progress === 'number') {
+      job.progress = progress.progress;
+    }
+
+    publishProgress(job.id, { type: job.type, status: 'running', ...progress });
+  };
+
+  let outcome;
+
+  try {
+    const result = await run(job, { signal, onProgress });
+    outcome = signal.aborted ? { status: 'cancelled' } : { status: 'succeeded', progress: 1, result };
+  } catch (error) {
+    if (signal.aborted) {
+      outcome = { status: 'cancelled' };
+    } else {
+      console.error(`Job ${job.id} (${job.type}) failed:`, error);
+      outcome = { status: 'failed', error: error.message };
+    }
+  }
+
+  abortControllers.delete(job.id);
+  updateJob(job, { ...outcome, finishedAt: new Date().toISOString() });
+  publishJob(job);
+  processQueue();
+};
+
+// Start as many queued jobs as each type's worker count allows, oldest first
+const processQueue = () => {
+  handlers.forEach(({ concurrency }, type) => {
+    const typeJobs = [...jobs.values()].filter((job) => job.type === type);
+    const runningCount = typeJobs.filter((job) => job.status === 'running').length;
+
+    typeJobs
+      .filter((job) => job.status === 'queued')
+      .sort((a, b) => a.queuedAt.localeCompare(b.queuedAt))
+      .slice(0, Math.max(concurrency - runningCount, 0))
+      .forEach(runJob);
+  });
+};
+
+export const registerJobHandler = (type, run, { concurrency = 1 } = {}) => {
+  handlers.set(type, { run, concurrency: Math.max(1, concurrency) });
+};
+
+// Load persisted jobs and resume the queue. Jobs that were running when the server stopped start over.
+export const startJobQueue = async () => {
+  const files = (await fs.readdir(jobsDir)).filter((file) => file.endsWith('.json'));
+
+  for (const file of files) {
+    try {
+      const job = await fs.readJson(path.join(jobsDir, file));
+
+      if (job.status === 'running') {
+        console.log(`🔁 Re-queuing interrupted ${job.type} job ${job.id}`);
+        updateJob(job, { status: 'queued', progress: 0 });
+      }
+
+      jobs.set(job.id, job);
+    } catch (error) {
+      console.error(`Skipping unreadable job file ${file}:`, error.message);
+    }
+  }
+
+  const queuedCount = [...jobs.values()].filter((job) => job.status === 'queued').length;
+  if (queuedCount > 0) {
+    console.log(`📋 Resuming ${queuedCount} queued job(s)`);
+  }
+
+  processQueue();
+};
+
+export const enqueueJob = (type, params) => {
+  if (!handlers.has(type)) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+
+  const now = new Date().toISOString();
+  const job = {
+    id: uuidv4(),
+    type,
+    status: 'queued',
+    params,
+    progress: 0,
+    result: null,
+    error: null,
+    attempts: 0,
+    createdAt: now,
+    queuedAt: now,
+    startedAt: null,
+    finishedAt: null
+  };
+
+  jobs.set(job.id, job);
+  persistJob(job);
+  publishJob(job);
+  processQueue();
+
+  return job;
+};
+
+export const getJob = (id) => jobs.get(id) || null;
+
+export const listJobs = ({ type, status } = {}) => [...jobs.values()]
+  .filter((job) => (!type || job.type === type) && (!status || job.status === status))
+  .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+// Queued jobs are cancelled right away; running jobs are aborted and settle once their handler stops
+export const cancelJob = (id) => {
+  const job = jobs.get(id);
+
+  if (job.status === 'queued') {
+    updateJob(job, { status: 'cancelled', finishedAt: new Date().toISOString() });
+    publishJob(job);
+    publishQueuePositions(job.type);
+  } else if (job.status === 'running') {
+    abortControllers.get(job.id)?.abort();
+  }
+
+  return job;
+};
+
+// Put a failed or cancelled job back at the end of the queue under the same id
+export const retryJob = (id) => {
+  const job = jobs.get(id);
+
+  updateJob(job, {
+    status: 'queued',
+    progress: 0,
+    result: null,
+    error: null,
+    queuedAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null
+  });
+  publishJob(job);
+  processQueue();
+
+  return job;
+};
@@ -0,0 +1,228 @@
+import { DEFAULT_SEGMENTATION_OPTIONS } from './segmentation.js';
+
+// Caption quality checks against a broadcast-style guide. Each issue names the caption it is about
+// and, where the change can't alter what is said or when, carries a fix that can be applied automatically.
+
+export const DEFAULT_LINT_OPTIONS = {
+  minDuration: DEFAULT_SEGMENTATION_OPTIONS.minDuration,
+  maxDuration: DEFAULT_SEGMENTATION_OPTIONS.maxDuration,
+  maxCharsPerSecond: DEFAULT_SEGMENTATION_OPTIONS.maxCharsPerSecond,
+  maxCharsPerLine: DEFAULT_SEGMENTATION_OPTIONS.maxCharsPerLine,
+  maxLines: DEFAULT_SEGMENTATION_OPTIONS.maxLines,
+  minGapFrames: 2,
+  fps: 30
+};
+
+// Tolerance for float timings, so 1.9999999 doesn't count as shorter than 2
+const EPSILON = 0.001;
+
+const resolveOptions = (options = {}) => Object.fromEntries(
+  Object.entries(DEFAULT_LINT_OPTIONS).map(([key, fallback]) => {
+    const value = Number(options[key]);
+    return [key, Number.isFinite(value) && value > 0 ? value : fallback];
+  })
+);
+
+const round = (seconds) => Math.round(seconds * 1000) / 1000;
+
+// Lines as they'd be shown: explicit line breaks are kept, everything else wraps at maxCharsPerLine
+const wrapLines = (text, maxCharsPerLine) => text.split('\n').flatMap((paragraph) => {
+  const lines = [];
+  let line = '';
+
+  paragraph.trim().split(/\s+/).filter((word) => word.length > 0).forEach((word) => {
+    if (line && line.length + 1 + word.length > maxCharsPerLine) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  });
+
+  return line ? [...lines, line] : lines;
+});
+
+// The latest a caption can end without running into the next one
+const getEndLimit = (caption, next, settings) => Math.min(
+  next && next.start > caption.start ? next.start : Infinity,
+  caption.start + settings.maxDuration
+);
+
+// Each rule returns null or { severity, message, fix? } for one caption
+const RULES = {
+  'empty-text': (caption) => ((caption.text || '').trim() === ''
+    ? {
+        severity: 'error',
+        message: 'Caption has no text',
+        fix: { description: 'Remove the caption', remove: true }
+      }
+    : null),
+
+  'overlap': (caption, next) => {
+    if (!next || next.start >= caption.end - EPSILON) {
+      return null;
+    }
+
+    return {
+      severity: 'error',
+      message: `Overlaps the next caption by ${round(caption.end - next.start)}s`,
+      ...(next.start > caption.start && {
+        fix: { description: `End at ${round(next.start)}s, where the next caption starts`, changes: { end: next.start } }
+      })
+    };
+  },
+
+  'min-duration': (caption, next, settings) => {
+    const duration = caption.end - caption.start;
+
+    if (duration >= settings.minDuration - EPSILON) {
+      return null;
+    }
+
+    const wantedEnd = caption.start + settings.minDuration;
+    return {
+      severity: 'warning',
+      message: `Shown for ${round(duration)}s, minimum is ${settings.minDuration}s`,
+      ...(wantedEnd <= getEndLimit(caption, next, settings) + EPSILON && {
+        fix: { description: `Extend to ${round(wantedEnd)}s`, changes: { end: round(wantedEnd) } }
+      })
+    };
+  },
+
+  'max-duration': (caption, next, settings) => {
+    const duration = caption.end - caption.start;
+
+    return duration > settings.maxDuration + EPSILON
+      ? { severity: 'warning', message: `Shown for ${round(duration)}s, maximum is ${settings.maxDuration}s` }
+      : null;
+  },
+
+  'reading-speed': (caption, next, settings) => {
+    const characters = (caption.text || '').trim().length;
+    const duration = caption.end - caption.start;
+    const charsPerSecond = duration > 0 ? characters / duration : Infinity;
+
+    if (characters === 0 || charsPerSecond <= settings.maxCharsPerSecond + EPSILON) {
+      return null;
+    }
+
+    const wantedEnd = caption.start + characters / settings.maxCharsPerSecond;
+    return {
+      severity: 'warning',
+      message: `Reading speed is ${Number.isFinite(charsPerSecond) ? charsPerSecond.toFixed(1) : '∞'} characters/s, maximum is ${settings.maxCharsPerSecond}`,
+      ...(wantedEnd <= getEndLimit(caption, next, settings) + EPSILON && {
+        fix: { description: `Extend to ${round(wantedEnd)}s`, changes: { end: round(wantedEnd) } }
+      })
+    };
+  },
+
+  'short-gap': (caption, next, settings) => {
+    if (!next) {
+      return null;
+    }
+
+    const gap = next.start - caption.end;
+    const minGap = settings.minGapFrames / settings.fps;
+
+    // Back-to-back captions are fine; a gap of a frame or so just flickers
+    if (gap <= EPSILON || gap >= minGap - EPSILON) {
+      return null;
+    }
+
+    return {
+      severity: 'warning',
+      message: `Gap to the next caption is ${Math.round(gap * settings.fps)} frame(s), minimum is ${settings.minGapFrames}`,
+      fix: { description: 'Close the gap so the captions run back to back', changes: { end: next.start } }
+    };
+  },
+
+  'line-length': (caption, next, settings) => {
+    const lines = wrapLines(caption.text || '', settings.maxCharsPerLine);
+    const longest = Math.max(0, ...lines.map((line) => line.length));
+
+    if (longest > settings.maxCharsPerLine) {
+      return { severity: 'warning', message: `A line has ${longest} characters, limit is ${settings.maxCharsPerLine}` };
+    }
+
+    return lines.length > settings.maxLines
+      ? { severity: 'warning', message: `Needs ${lines.length} lines of ${settings.maxCharsPerLine} characters, limit is ${settings.maxLines}` }
+      : null;
+  },
+
+  'word-timing': (caption) => {
+    const outside = (caption.words || []).filter((word) => (
+      word.start < caption.start - EPSILON || word.end > caption.end + EPSILON || word.end < word.start
+    ));
+
+    if (outside.length === 0) {
+      return null;
+    }
+
+    const words = caption.words.map((word) => {
+      const start = Math.min(Math.max(word.start, caption.start), caption.end);
+      return { ...word, start, end: Math.min(Math.max(word.end, start), caption.end) };
+    });
+
+    return {
+      severity: 'error',
+      message: `${outside.length} word timing(s) fall outside the caption: ${outside.map((word) => word.word).join(', ')}`,
+      fix: { description: 'Clamp word timings to the caption', changes: { words } }
+    };
+  }
+};
+
+export const LINT_RULES = Object.keys(RULES);
+
+// Check captions (in time order) and return a list of { id, rule, severity, captionId, index, message, fix? }
+export const lintCaptions = (captions, options = {}) => {
+  const settings = resolveOptions(options);
+  const ordered = captions
+    .map((caption, index) => ({ caption, index }))
+    .sort((a, b) => a.caption.start - b.caption.start);
+
+  return ordered.flatMap(({ caption, index }, position) => {
+    const next = ordered[position + 1]?.caption;
+
+    return Object.entries(RULES)
+      .map(([rule, check]) => {
+        const issue = check(caption, next, settings);
+        return issue && { id: `${rule}:${index}`, rule, captionId: caption.id, index, ...issue };
+      })
+      .filter(Boolean);
+  });
+};
+
+// Apply the fixes of the given issues (all fixable issues when ids is not given), then renumber the captions.
+// Several fixes can move one caption's end (a short caption that is also read too fast); each stops short of
+// the next caption, so the latest end satisfies them all.
+export const fixCaptions = (captions, issues, ids = null) => {
+  const selected = issues.filter((issue) => issue.fix && (!ids || ids.includes(issue.id)));
+  const patched = captions.map((caption) => ({ ...caption }));
+  const removed = new Set();
+  const ends = new Map();
+
+  selected.forEach(({ index, fix }) => {
+    if (fix.remove) {
+      removed.add(index);
+      return;
+    }
+
+    const { end, ...changes } = fix.changes;
+    Object.assign(patched[index], changes);
+
+    if (end !== undefined) {
+      ends.set(index, Math.max(ends.get(index) ?? -Infinity, end));
+    }
+  });
+
+  ends.forEach((end, index) => {
+    patched[index].end = end;
+  });
+
+  return {
+    captions: patched
+      .filter((caption, index) => !removed.has(index))
+      .map((caption, index) => ({ ...caption, id: index + 1 })),
+    fixed: selected.map((issue) => issue.id)
+  };
+};
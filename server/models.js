@@ -0,0 +1,187 @@
+import path from 'path';
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// whisper.cpp binary and ggml models. The default locations are the whisper.cpp checkout in the
+// project root; WHISPER_BINARY and WHISPER_MODELS_DIR point elsewhere. Read when needed, after dotenv has run.
+export const getWhisperPaths = () => ({
+  binary: process.env.WHISPER_BINARY || path.join(__dirname, '../whisper.cpp/build/bin/whisper-cli'),
+  modelsDir: process.env.WHISPER_MODELS_DIR || path.join(__dirname, '../whisper.cpp/models')
+});
+
+// Default model and known-good checksums, kept next to the models
+const MANIFEST_FILE = 'models.json';
+
+const MODEL_FILE = /^ggml-[\w.-]+\.bin$/;
+
+// English-only models are named like ggml-base.en.bin or ggml-tiny.en-q5_1.bin
+const ENGLISH_ONLY = /\.en(?:[-.][\w-]*)?\.bin$/;
+
+// Every whisper.cpp ggml model starts with the uint32 0x67676d6c ("ggml"), written little-endian
+const GGML_MAGIC = 0x67676d6c;
+
+export const isModelName = (name) => typeof name === 'string' && MODEL_FILE.test(name);
+
+const getManifestPath = () => path.join(getWhisperPaths().modelsDir, MANIFEST_FILE);
+
+const readManifest = async () => {
+  const manifestPath = getManifestPath();
+  const manifest = (await fs.pathExists(manifestPath)) ? await fs.readJson(manifestPath) : {};
+
+  return { defaultModel: null, checksums: {}, ...manifest };
+};
+
+const writeManifest = async (manifest) => {
+  await fs.ensureDir(getWhisperPaths().modelsDir);
+  await fs.writeJson(getManifestPath(), manifest, { spaces: 2 });
+};
+
+const describeModel = async (name, manifest) => {
+  const modelPath = path.join(getWhisperPaths().modelsDir, name);
+  const { size } = await fs.stat(modelPath);
+  const multilingual = !ENGLISH_ONLY.test(name);
+
+  return {
+    name,
+    path: modelPath,
+    size,
+    multilingual,
+    languages: multilingual ? ['en', 'hi'] : ['en'],
+    translation: multilingual,
+    isDefault: manifest.defaultModel === name,
+    checksum: manifest.checksums[name] || null
+  };
+};
+
+// Installed ggml models, smallest first
+export const listModels = async () => {
+  const { modelsDir } = getWhisperPaths();
+
+  if (!(await fs.pathExists(modelsDir))) {
+    return [];
+  }
+
+  const manifest = await readManifest();
+  const names = (await fs.readdir(modelsDir)).filter(isModelName);
+  const models = await Promise.all(names.map((name) => describeModel(name, manifest)));
+
+  return models.sort((a, b) => a.size - b.size);
+};
+
+export const getModel = async (name) => {
+  if (!isModelName(name) || !(await fs.pathExists(path.join(getWhisperPaths().modelsDir, name)))) {
+    return null;
+  }
+
+  return describeModel(name, await readManifest());
+};
+
+export const getDefaultModel = async () => {
+  const { defaultModel } = await readManifest();
+  return defaultModel ? getModel(defaultModel) : null;
+};
+
+export const setDefaultModel = async (name) => {
+  const manifest = await readManifest();
+  await writeManifest({ ...manifest, defaultModel: name });
+  return getModel(name);
+};
+
+// Why a model can't transcribe a language option, or null if it can
+export const getModelLanguageError = (model, language) => {
+  if (model.multilingual || language === 'en') {
+    return null;
+  }
+
+  return `${model.name} is an English-only model and can't be used with language "${language}"`;
+};
+
+const hasGgmlMagic = async (filePath) => {
+  const handle = await fs.open(filePath, 'r');
+
+  try {
+    const { buffer, bytesRead } = await fs.read(handle, Buffer.alloc(4), 0, 4, 0);
+    return bytesRead === 4 && buffer.readUInt32LE(0) === GGML_MAGIC;
+  } finally {
+    await fs.close(handle);
+  }
+};
+
+// SHA-256 for our own records, SHA-1 because that's what whisper.cpp publishes for its models
+const hashFile = (filePath) => new Promise((resolve, reject) => {
+  const sha256 = crypto.createHash('sha256');
+  const sha1 = crypto.createHash('sha1');
+
+  fs.createReadStream(filePath)
+    .on('data', (chunk) => {
+      sha256.update(chunk);
+      sha1.update(chunk);
+    })
+    .on('end', () => resolve({ sha256: sha256.digest('hex'), sha1: sha1.digest('hex') }))
+    .on('error', reject);
+});
+
+// Check a model file. It's compared with the expected checksum when one is given (SHA-1 or SHA-256),
+// otherwise with the checksum recorded at import. A model with no record gets its checksum recorded now.
+export const verifyModel = async (name, expected = null) => {
+  const model = await getModel(name);
+  const [validHeader, hashes] = await Promise.all([hasGgmlMagic(model.path), hashFile(model.path)]);
+  const manifest = await readManifest();
+  const recorded = manifest.checksums[name] || null;
+  const reference = expected ? expected.toLowerCase() : recorded;
+
+  let status;
+  if (!validHeader) {
+    status = 'corrupt';
+  } else if (!reference) {
+    status = 'recorded';
+    await writeManifest({ ...manifest, checksums: { ...manifest.checksums, [name]: hashes.sha256 } });
+  } else {
+    status = [hashes.sha256, hashes.sha1].includes(reference) ? 'ok' : 'mismatch';
+  }
+
+  return { name, status, validHeader, ...hashes, expected: reference };
+};
+
+// Copy ggml models from a local file or directory into the models directory (for offline machines).
+// Returns one result per candidate file: imported, skipped (already installed, same contents) or invalid.
+export const importModels = async (sourcePath) => {
+  const source = path.resolve(sourcePath);
+  const stat = await fs.stat(source);
+  const files = stat.isDirectory()
+    ? (await fs.readdir(source)).filter(isModelName).map((name) => path.join(source, name))
+    : [source];
+
+  const { modelsDir } = getWhisperPaths();
+  await fs.ensureDir(modelsDir);
+
+  const results = [];
+
+  for (const file of files) {
+    const name = path.basename(file);
+
+    if (!isModelName(name)) {
+      results.push({ name, status: 'invalid', reason: 'Model files must be named ggml-<name>.bin' });
+    } else if (!(await hasGgmlMagic(file))) {
+      results.push({ name, status: 'invalid', reason: 'Not a ggml model file' });
+    } else {
+      const { sha256 } = await hashFile(file);
+      const target = path.join(modelsDir, name);
+      const manifest = await readManifest();
+
+      if ((await fs.pathExists(target)) && manifest.checksums[name] === sha256) {
+        results.push({ name, status: 'skipped', reason: 'Already installed', sha256 });
+      } else {
+        await fs.copy(file, target);
+        await writeManifest({ ...manifest, checksums: { ...manifest.checksums, [name]: sha256 } });
+        results.push({ name, status: 'imported', sha256 });
+      }
+    }
+  }
+
+  return results;
+};
@@ -0,0 +1,72 @@
+// Live progress for queued jobs (renders, transcriptions), streamed to the browser over Server-Sent Events
+
+const FINAL_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+// Keep finished channels around briefly so late subscribers still get the final event
+const FINISHED_CHANNEL_TTL = 60 * 1000;
+
+const channels = new Map();
+
+const getChannel = (id) => {
+  if (!channels.has(id)) {
+    channels.set(id, { last: null, clients: new Set() });
+  }
+
+  return channels.get(id);
+};
+
+const writeEvent = (res, event) => {
+  res.write(`data: ${JSON.stringify(event)}\n\n`);
+};
+
+export const isFinalStatus = (status) => FINAL_STATUSES.includes(status);
+
+// Send an event to everyone listening on a job. Events with a final status close the stream.
+export const publishProgress = (id, event) => {
+  const channel = getChannel(id);
+  const payload = { id, ...event, timestamp: Date.now() };
+
+  channel.last = payload;
+  channel.clients.forEach((res) => writeEvent(res, payload));
+
+  if (isFinalStatus(payload.status)) {
+    channel.clients.forEach((res) => res.end());
+    channel.clients.clear();
+
+    setTimeout(() => {
+      if (channels.get(id) === channel && channel.clients.size === 0) {
+        channels.delete(id);
+      }
+    }, FINISHED_CHANNEL_TTL).unref();
+  }
+};
+
+// Express handler body for GET /api/jobs/:id/events. Subscribers first get the latest event, or the job's
+// stored state (current) when nothing was published since the server started.
+export const streamProgress = (id, req, res, current) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.write('retry: 2000\n\n');
+
+  const last = channels.get(id)?.last || { id, ...current, timestamp: Date.now() };
+  writeEvent(res, last);
+
+  if (isFinalStatus(last.status)) {
+    return res.end();
+  }
+
+  const channel = getChannel(id);
+  channel.clients.add(res);
+
+  req.on('close', () => {
+    channel.clients.delete(res);
+
+    // A channel nothing was published on yet only exists for its listeners
+    if (channel.clients.size === 0 && !channel.last && channels.get(id) === channel) {
+      channels.delete(id);
+    }
+  });
+};
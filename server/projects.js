@@ -0,0 +1,50 @@
+import path from 'path';
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Each uploaded video gets a project file holding its captions and preset
+export const projectsDir = path.join(__dirname, '../projects');
+fs.ensureDirSync(projectsDir);
+
+// Project ids are the upload ids, e.g. "<uuid>-<original name>"
+export const getProjectIdFromVideoPath = (videoPath) => path.parse(videoPath).name;
+
+const getProjectPath = (id) => {
+  if (!id || id !== path.basename(id) || id.startsWith('.')) {
+    throw new Error(`Invalid project id: ${id}`);
+  }
+
+  return path.join(projectsDir, `${id}.json`);
+};
+
+export const getProject = async (id) => {
+  const projectPath = getProjectPath(id);
+
+  if (!(await fs.pathExists(projectPath))) {
+    return null;
+  }
+
+  return fs.readJson(projectPath);
+};
+
+// Merge changes into the stored project, creating it if needed
+export const saveProject = async (id, changes) => {
+  const existing = await getProject(id);
+  const now = new Date().toISOString();
+
+  const project = {
+    id,
+    captions: [],
+    preset: null,
+    createdAt: now,
+    ...existing,
+    ...changes,
+    updatedAt: now
+  };
+
+  await fs.writeJson(getProjectPath(id), project, { spaces: 2 });
+  return project;
+};
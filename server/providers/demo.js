@@ -0,0 +1,40 @@
+import { estimateWordTimings } from '../wordTiming.js';
+
+// Sample Hinglish captions, for trying out styles without any transcription engine
+const DEMO_TEXTS = [
+  "Welcome to this amazing video demonstration",
+  "यह एक बेहतरीन वीडियो का उदाहरण है", // Hindi text for Hinglish testing
+  "This shows how captions work perfectly",
+  "Multiple styles और effects के साथ", // Mixed Hindi-English
+  "Beautiful typography and smooth animations",
+  "Perfect for all your video needs"
+];
+
+// Generate demo captions for testing when API is not available
+const generateDemoCaptions = () => DEMO_TEXTS.map((text, index) => ({
+  start: index * 3,
+  end: (index + 1) * 3,
+  text,
+  words: estimateWordTimings(text, index * 3, (index + 1) * 3)
+}));
+
+export const demoProvider = {
+  id: 'demo',
+  name: 'Generate Demo Captions',
+  icon: '🎦',
+  description: 'Sample Hinglish captions, ignores the audio',
+  capabilities: {
+    wordTimestamps: false,
+    offline: true,
+    languages: ['en', 'hi'],
+    languageDetection: false,
+    translation: false
+  },
+  defaults: { vad: false },
+  getAvailability: async () => ({ available: true }),
+  transcribe: async () => ({
+    text: DEMO_TEXTS.join(' '),
+    language: null,
+    segments: generateDemoCaptions()
+  })
+};
@@ -0,0 +1,41 @@
+import path from 'path';
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// A fixed transcript with word timings and probabilities, so the whole caption pipeline can be
+// exercised without whisper.cpp or the network. Always returns the same result for any video.
+const FIXTURE_PATH = path.join(__dirname, 'fixtures/transcript.json');
+
+export const fixtureProvider = {
+  id: 'fixture',
+  name: 'Test Fixture',
+  icon: '🧪',
+  description: 'Deterministic local transcript for testing the pipeline',
+  capabilities: {
+    wordTimestamps: true,
+    offline: true,
+    languages: ['en', 'hi'],
+    languageDetection: false,
+    translation: false
+  },
+  defaults: { vad: false },
+  getAvailability: async () => ({ available: true }),
+  transcribe: async (videoPath, { signal, onProgress }) => {
+    onProgress({ stage: 'transcribing', progress: 0 });
+    const fixture = await fs.readJson(FIXTURE_PATH);
+
+    if (signal.aborted) {
+      throw new Error('Transcription cancelled');
+    }
+
+    onProgress({ stage: 'transcribing', progress: 1 });
+    return {
+      text: fixture.segments.map((segment) => segment.text).join(' '),
+      language: fixture.language,
+      segments: fixture.segments
+    };
+  }
+};
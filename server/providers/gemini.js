@@ -0,0 +1,247 @@
+import path from 'path';
+import { z } from 'zod';
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { FileState, GoogleAIFileManager } from '@google/generative-ai/server';
+
+// The Gemini calls this provider makes:
+//
+//   uploadFile(filePath, { mimeType, displayName }) -> { name, uri, mimeType, state }
+//   getFile(name) -> { name, uri, mimeType, state }
+//   deleteFile(name)
+//   generateContent(modelName, request, { signal }) -> response text
+//
+// createGeminiClient talks to the real API, or to a local mock server when given a baseUrl
+// (GEMINI_BASE_URL in .env). setGeminiClient swaps in any other implementation.
+export const createGeminiClient = ({ apiKey, baseUrl }) => {
+  const requestOptions = baseUrl ? { baseUrl } : {};
+  const genAI = new GoogleGenerativeAI(apiKey);
+  const fileManager = new GoogleAIFileManager(apiKey, requestOptions);
+
+  return {
+    uploadFile: async (filePath, metadata) => (await fileManager.uploadFile(filePath, metadata)).file,
+    getFile: (name) => fileManager.getFile(name),
+    deleteFile: (name) => fileManager.deleteFile(name),
+    generateContent: async (modelName, request, { signal } = {}) => {
+      const model = genAI.getGenerativeModel({ model: modelName }, requestOptions);
+      const result = await model.generateContent(request, { signal });
+      return result.response.text();
+    }
+  };
+};
+
+// Gemini client, created on first use so the key from .env has been loaded by then
+let geminiClient = null;
+
+export const setGeminiClient = (client) => {
+  geminiClient = client;
+};
+
+const getClient = () => {
+  if (!geminiClient && process.env.GEMINI_API_KEY) {
+    geminiClient = createGeminiClient({ apiKey: process.env.GEMINI_API_KEY, baseUrl: process.env.GEMINI_BASE_URL });
+  }
+  return geminiClient;
+};
+
+const MODEL_NAME = 'gemini-1.5-flash';
+
+// Uploaded videos are processed before they can be used; check this often
+const FILE_POLL_INTERVAL = 2000;
+
+const MIME_TYPES = {
+  '.mp4': 'video/mp4',
+  '.m4v': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.webm': 'video/webm',
+  '.mkv': 'video/x-matroska',
+  '.avi': 'video/x-msvideo',
+  '.mpeg': 'video/mpeg',
+  '.mpg': 'video/mpeg',
+  '.mp3': 'audio/mpeg',
+  '.m4a': 'audio/mp4',
+  '.wav': 'audio/wav',
+  '.ogg': 'audio/ogg',
+  '.flac': 'audio/flac'
+};
+
+export const getMimeType = (filePath) => {
+  const mimeType = MIME_TYPES[path.extname(filePath).toLowerCase()];
+
+  if (!mimeType) {
+    throw new Error(`Gemini can't transcribe ${path.extname(filePath) || 'files without an extension'}`);
+  }
+
+  return mimeType;
+};
+
+// What to ask Gemini for, per language option
+const LANGUAGE_INSTRUCTIONS = {
+  auto: 'Transcribe the speech in the language it is spoken in. Write Hindi in Devanagari and English in Latin script.',
+  hi: 'The speech is Hindi or Hinglish. Write Hindi in Devanagari and keep English words in Latin script.',
+  en: 'The speech is English.',
+  translate: 'Translate the speech into English.'
+};
+
+// The reply Gemini must give. The same schema is sent as the response schema and used to validate the reply.
+const WordSchema = z.object({
+  word: z.string().min(1),
+  start: z.number().nonnegative().describe('Seconds from the start of the media'),
+  end: z.number().nonnegative().describe('Seconds from the start of the media')
+}).strict();
+
+const SegmentSchema = z.object({
+  start: z.number().nonnegative().describe('Seconds from the start of the media'),
+  end: z.number().nonnegative().describe('Seconds from the start of the media'),
+  text: z.string(),
+  language: z.string().describe('ISO 639-1 code of the language spoken in this segment'),
+  words: z.array(WordSchema).describe('Every word of the segment text, in order')
+}).strict();
+
+const TranscriptionSchema = z.object({
+  language: z.string().describe('ISO 639-1 code of the main spoken language'),
+  text: z.string(),
+  segments: z.array(SegmentSchema)
+}).strict().superRefine((transcription, context) => {
+  // Tolerance for rounding in the reply
+  const slack = 0.05;
+
+  transcription.segments.forEach((segment, segmentIndex) => {
+    if (segment.end < segment.start) {
+      context.addIssue({ code: 'custom', path: ['segments', segmentIndex, 'end'], message: 'Segment ends before it starts' });
+    }
+
+    segment.words.forEach((word, wordIndex) => {
+      if (word.end < word.start || word.start < segment.start - slack || word.end > segment.end + slack) {
+        context.addIssue({
+          code: 'custom',
+          path: ['segments', segmentIndex, 'words', wordIndex],
+          message: `Word "${word.word}" is timed outside its segment`
+        });
+      }
+    });
+  });
+});
+
+// Gemini takes an OpenAPI-style subset of JSON Schema: no $schema, additionalProperties, minLength or minimum
+const GEMINI_SCHEMA_KEYS = ['type', 'description', 'properties', 'required', 'items', 'enum', 'nullable'];
+
+const toGeminiSchema = (schema) => Object.fromEntries(
+  Object.entries(schema)
+    .filter(([key]) => GEMINI_SCHEMA_KEYS.includes(key))
+    .map(([key, value]) => {
+      if (key === 'properties') {
+        return [key, Object.fromEntries(Object.entries(value).map(([name, property]) => [name, toGeminiSchema(property)]))];
+      }
+      return [key, key === 'items' ? toGeminiSchema(value) : value];
+    })
+);
+
+const RESPONSE_SCHEMA = toGeminiSchema(z.toJSONSchema(TranscriptionSchema));
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(new Error('Transcription cancelled'));
+  }, { once: true });
+});
+
+// Upload the media and wait until Gemini has processed it
+const uploadMedia = async (client, videoPath, signal) => {
+  let file = await client.uploadFile(videoPath, {
+    mimeType: getMimeType(videoPath),
+    displayName: path.basename(videoPath)
+  });
+
+  while (file.state === FileState.PROCESSING) {
+    await sleep(FILE_POLL_INTERVAL, signal);
+    file = await client.getFile(file.name);
+  }
+
+  if (file.state === FileState.FAILED) {
+    throw new Error(`Gemini could not process ${path.basename(videoPath)}`);
+  }
+
+  return file;
+};
+
+// Parse and check the reply. Anything that doesn't match the schema fails the transcription.
+export const parseGeminiTranscription = (text) => {
+  let reply;
+
+  try {
+    reply = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Gemini did not return JSON: ${error.message}`);
+  }
+
+  const result = TranscriptionSchema.safeParse(reply);
+
+  if (!result.success) {
+    throw new Error(`Gemini returned an invalid transcription:\n${z.prettifyError(result.error)}`);
+  }
+
+  return result.data;
+};
+
+const transcribeWithGemini = async (videoPath, client, { language = 'auto', prompt: terms, signal, onProgress = () => {} } = {}) => {
+  let file = null;
+
+  try {
+    onProgress({ stage: 'uploading' });
+    file = await uploadMedia(client, videoPath, signal);
+
+    onProgress({ stage: 'transcribing' });
+    const prompt = `Transcribe the speech in this media. ${LANGUAGE_INSTRUCTIONS[language] || LANGUAGE_INSTRUCTIONS.auto} Split it into sentence-length segments, give each segment the language spoken in it, and time every word in seconds from the start of the media.${terms ? ` These names and terms may come up; spell them exactly like this: ${terms}.` : ''}`;
+
+    const text = await client.generateContent(MODEL_NAME, {
+      contents: [{
+        role: 'user',
+        parts: [
+          { fileData: { fileUri: file.uri, mimeType: file.mimeType } },
+          { text: prompt }
+        ]
+      }],
+      generationConfig: {
+        responseMimeType: 'application/json',
+        responseSchema: RESPONSE_SCHEMA
+      }
+    }, { signal });
+
+    return parseGeminiTranscription(text);
+  } catch (error) {
+    console.error('Gemini transcription error:', error);
+    throw error;
+  } finally {
+    if (file) {
+      await client.deleteFile(file.name).catch((error) => console.error('Could not delete Gemini file:', error.message));
+    }
+  }
+};
+
+export const geminiProvider = {
+  id: 'gemini',
+  name: 'Google Gemini',
+  icon: '🤖',
+  description: 'Cloud transcription with Gemini',
+  capabilities: {
+    wordTimestamps: true,
+    offline: false,
+    languages: ['en', 'hi'],
+    languageDetection: true,
+    translation: true
+  },
+  defaults: { vad: false },
+  getAvailability: async () => (getClient()
+    ? { available: true }
+    : { available: false, reason: 'GEMINI_API_KEY is not set' }),
+  transcribe: async (videoPath, { language, prompt, signal, onProgress }) => {
+    const transcription = await transcribeWithGemini(videoPath, getClient(), { language, prompt, signal, onProgress });
+
+    return {
+      text: transcription.text || null,
+      language: transcription.language || null,
+      segments: transcription.segments
+    };
+  }
+};
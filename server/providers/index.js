@@ -0,0 +1,93 @@
+import { estimateWordTimings } from '../wordTiming.js';
+import { isProbability } from '../confidence.js';
+import { demoProvider } from './demo.js';
+import { fixtureProvider } from './fixture.js';
+import { geminiProvider } from './gemini.js';
+import { whisperProvider } from './whisper.js';
+
+// Transcription providers. Each one describes what it can do and turns a video into
+// { text, language, segments: [{ start, end, text, words? }] }:
+//
+//   id, name, icon, description
+//   capabilities: { wordTimestamps, offline, languages, languageDetection, translation }
+//   defaults: { vad }                  whether voice-activity detection runs unless the request says otherwise
+//   getAvailability() -> { available, reason? }
+//   transcribe(videoPath, { language, model, prompt, getAudioPath, signal, onProgress }) -> result, with the detected language;
+//                                      prompt is optional vocabulary (glossary terms) to steer the spelling, and
+//                                      getAudioPath() -> path of the job's extracted 16 kHz WAV, which the job deletes
+//   resolveModel(language, model) -> name   optional, the model a transcription would run with (for caching)
+
+// Language options for a transcription: detect it, a fixed language, or translate into English
+export const LANGUAGE_OPTIONS = ['auto', 'hi', 'en', 'translate'];
+
+const providers = new Map();
+
+export const registerProvider = (provider) => {
+  providers.set(provider.id, provider);
+};
+
+export const getProvider = (id) => providers.get(id) || null;
+
+// Whether a provider can handle a language option. Providers that can't detect the language
+// still accept 'auto' and just produce whatever they produce.
+export const supportsLanguage = (provider, language) => {
+  if (language === 'auto') return true;
+  if (language === 'translate') return Boolean(provider.capabilities.translation);
+  return provider.capabilities.languages.includes(language);
+};
+
+// Provider descriptions for the API and UI, without the functions
+export const listProviders = () => Promise.all([...providers.values()].map(async (provider) => ({
+  id: provider.id,
+  name: provider.name,
+  icon: provider.icon,
+  description: provider.description,
+  capabilities: provider.capabilities,
+  ...(await provider.getAvailability())
+})));
+
+// Keep a word's confidence (probability, or whisper's p) only when it is one; engines without it leave it out or null
+const normalizeWord = ({ probability = null, p = null, ...word }) => {
+  const confidence = probability ?? p;
+  return isProbability(confidence) ? { ...word, probability: confidence } : word;
+};
+
+// Turn engine segments into numbered captions, estimating word timings where the engine gave none
+export const normalizeSegments = (segments = []) => segments
+  .map((segment) => ({ ...segment, text: (segment.text || '').trim() }))
+  .filter((segment) => segment.text.length > 0)
+  .map((segment, index) => {
+    const words = segment.words && segment.words.length > 0
+      ? segment.words.map(normalizeWord)
+      : estimateWordTimings(segment.text, segment.start, segment.end);
+
+    // A segment's language goes on its words too, so it survives regrouping into captions
+    return {
+      id: index + 1,
+      start: segment.start,
+      end: segment.end,
+      text: segment.text,
+      ...(segment.language && { language: segment.language }),
+      words: segment.language ? words.map((word) => ({ language: segment.language, ...word })) : words
+    };
+  });
+
+// Run a provider and normalize its result
+export const transcribe = async (providerId, videoPath, context) => {
+  const provider = getProvider(providerId);
+
+  if (!provider) {
+    throw new Error(`Unknown transcription provider: ${providerId}`);
+  }
+
+  const result = await provider.transcribe(videoPath, context);
+
+  return {
+    text: result.text || null,
+    language: result.language || null,
+    segments: normalizeSegments(result.segments)
+  };
+};
+
+// Built-in providers, in the order the UI shows them
+[demoProvider, whisperProvider, geminiProvider, fixtureProvider].forEach(registerProvider);
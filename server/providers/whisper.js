@@ -0,0 +1,389 @@
+import path from 'path';
+import fs from 'fs-extra';
+import { spawn } from 'child_process';
+import { extractAudioFromVideo } from '../audio.js';
+import { planChunks, stitchChunks } from '../chunking.js';
+import { getDefaultModel, getModel, getModelLanguageError, getWhisperPaths, listModels } from '../models.js';
+import { detectSpeech } from '../vad.js';
+import { getWavDuration, writeWavSegment } from '../wav.js';
+import { estimateWordTimings } from '../wordTiming.js';
+import { getWhisperSegmentText, getWhisperWords, groupWhisperWords, readWhisperJson } from '../whisper.js';
+
+// English-only models are smaller and better at English, but can't transcribe Hindi at all.
+// Read when needed, after dotenv has loaded .env.
+const getModelNames = () => ({
+  english: process.env.WHISPER_ENGLISH_MODEL || 'ggml-base.en.bin',
+  multilingual: process.env.WHISPER_MULTILINGUAL_MODEL || 'ggml-base.bin'
+});
+
+// The model to run for a language option. A model asked for by name must be installed and able to
+// handle the language; otherwise the default model is used when it can, then the configured pair:
+// English uses the English-only model when there is one, everything else needs the multilingual one.
+const selectModel = async (language, modelName) => {
+  if (modelName) {
+    const model = await getModel(modelName);
+    if (!model) {
+      const installed = (await listModels()).map(({ name }) => name);
+      throw new Error(`Unknown whisper model: ${modelName}. Installed: ${installed.join(', ') || 'none'}`);
+    }
+    const languageError = getModelLanguageError(model, language);
+    if (languageError) {
+      throw new Error(languageError);
+    }
+    return model.path;
+  }
+
+  const defaultModel = await getDefaultModel();
+  if (defaultModel && !getModelLanguageError(defaultModel, language)) {
+    return defaultModel.path;
+  }
+
+  const { modelsDir } = getWhisperPaths();
+  const { english, multilingual } = getModelNames();
+  const englishPath = path.join(modelsDir, english);
+  const multilingualPath = path.join(modelsDir, multilingual);
+
+  if (language === 'en' && (await fs.pathExists(englishPath))) {
+    return englishPath;
+  }
+
+  if (await fs.pathExists(multilingualPath)) {
+    return multilingualPath;
+  }
+
+  throw new Error(`Transcribing with language "${language}" needs the multilingual model ${multilingual} in ${modelsDir}`);
+};
+
+// whisper.cpp runs at a fraction of real time on most machines, so the timeout is a multiple of the
+// audio length (WHISPER_TIMEOUT_FACTOR, default 3) with a one-minute floor for short clips
+const MIN_TIMEOUT = 60000;
+
+const getTimeout = (duration) => {
+  const factor = Number(process.env.WHISPER_TIMEOUT_FACTOR) || 3;
+  return Math.max(MIN_TIMEOUT, Math.ceil(duration * factor * 1000));
+};
+
+// Run whisper-cli on one WAV file and return its JSON output. Progress is reported as a fraction.
+const runWhisper = (audioPath, modelPath, { language, prompt, duration, signal, onProgress }) => new Promise((resolve, reject) => {
+  const timeoutMs = getTimeout(duration);
+
+  // Set a timeout for the whisper process
+  const timeout = setTimeout(() => {
+    whisper.kill('SIGTERM');
+    reject(new Error(`Whisper.cpp process timed out after ${Math.round(timeoutMs / 1000)} seconds`));
+  }, timeoutMs);
+
+  const whisper = spawn(getWhisperPaths().binary, [
+    '-m', modelPath,
+    '-f', audioPath,
+    // Translation detects the spoken language and outputs English
+    '-l', language === 'translate' ? 'auto' : language,
+    ...(language === 'translate' ? ['--translate'] : []),
+    // Glossary terms, so names and jargon come out spelled the way they should
+    ...(prompt ? ['--prompt', prompt] : []),
+    '--output-json-full', // token-level timings and probabilities
+    '-ml', '1',
+    '--split-on-word',
+    '--print-progress',
+    '--no-prints'
+  ], { signal });
+
+  onProgress(0);
+
+  let output = '';
+  let errorOutput = '';
+
+  whisper.stdout.on('data', (data) => {
+    output += data.toString();
+  });
+
+  whisper.stderr.on('data', (data) => {
+    const text = data.toString();
+    errorOutput += text;
+
+    // whisper-cli prints "progress =  42%" lines with --print-progress
+    const matches = [...text.matchAll(/progress\s*=\s*(\d+)%/g)];
+    if (matches.length > 0) {
+      onProgress(Number(matches[matches.length - 1][1]) / 100);
+    }
+  });
+
+  whisper.on('close', async (code) => {
+    clearTimeout(timeout);
+
+    try {
+      // Since whisper.cpp saves to file, read the JSON file
+      const jsonPath = audioPath + '.json';
+      let result;
+
+      if (await fs.pathExists(jsonPath)) {
+        result = await readWhisperJson(jsonPath);
+        // Clean up JSON file
+        await fs.unlink(jsonPath).catch(() => {});
+      } else {
+        // Fallback: parse stdout or create simple response
+        if (output.trim()) {
+          result = {
+            text: output.trim(),
+            segments: [{
+              start: 0,
+              end: 10,
+              text: output.trim()
+            }]
+          };
+        } else {
+          throw new Error('No output from whisper.cpp');
+        }
+      }
+
+      if (code === 0) {
+        resolve(result);
+      } else {
+        reject(new Error(`Whisper.cpp exited with code ${code}: ${errorOutput}`));
+      }
+    } catch (cleanupError) {
+      reject(new Error(`Error processing whisper.cpp output: ${cleanupError.message}`));
+    }
+  });
+
+  whisper.on('error', async (error) => {
+    clearTimeout(timeout);
+    // Clean up files
+    await fs.unlink(audioPath + '.json').catch(() => {});
+    reject(error);
+  });
+});
+
+// Process whisper.cpp transcription to create timed caption segments
+const processWhisperTranscription = (transcription) => {
+  // Handle whisper.cpp JSON output format
+  if (transcription.transcription && Array.isArray(transcription.transcription)) {
+    // Real word timings from the token output
+    const words = getWhisperWords(transcription);
+    if (words && words.length > 0) {
+      return groupWhisperWords(words).map((segment, index) => ({ id: index + 1, ...segment }));
+    }
+
+    const segments = transcription.transcription;
+    
+    return segments.map((segment, index) => {
+      const startTime = segment.offsets?.from / 1000 || 0;
+      const endTime = segment.offsets?.to / 1000 || startTime + 3;
+      const text = getWhisperSegmentText(segment);
+      
+      // No token output: estimate word timings within the segment
+      return {
+        id: index + 1,
+        start: startTime,
+        end: endTime,
+        text: text,
+        words: estimateWordTimings(text, startTime, endTime)
+      };
+    });
+  }
+  
+  // Fallback for other formats or empty transcription
+  if (!transcription.segments || transcription.segments.length === 0) {
+    // Create segments from full text if available
+    const fullText = transcription.text || 'No captions available';
+    return [{
+      id: 1,
+      start: 0,
+      end: 5,
+      text: fullText,
+      words: estimateWordTimings(fullText, 0, 5)
+    }];
+  }
+
+  // Handle standard segments format
+  return transcription.segments.map((segment, index) => ({
+    id: index + 1,
+    start: segment.start || 0,
+    end: segment.end || segment.start + 3,
+    text: segment.text || '',
+    words: segment.words ? segment.words.map(word => ({
+      word: word.word || word.text,
+      start: word.start || segment.start,
+      end: word.end || word.start + 0.5,
+      probability: word.probability ?? word.p ?? null
+    })) : estimateWordTimings(segment.text || '', segment.start || 0, segment.end || segment.start + 3)
+  }));
+};
+
+// Chunks of a long recording are transcribed this many at a time (WHISPER_CHUNK_CONCURRENCY, default 1)
+const getChunkConcurrency = () => Math.max(1, Number(process.env.WHISPER_CHUNK_CONCURRENCY) || 1);
+
+// Where to cut a long recording. Speech detection only runs when the audio is long enough to need cutting;
+// without it the chunks are cut at fixed lengths.
+const planAudioChunks = async (audioPath, duration, onProgress) => {
+  const chunks = planChunks(duration);
+
+  if (chunks.length === 1) {
+    return chunks;
+  }
+
+  onProgress({ stage: 'detecting-speech' });
+
+  try {
+    return planChunks(duration, await detectSpeech(audioPath));
+  } catch (error) {
+    console.error('Speech detection for chunking failed:', error.message);
+    return chunks;
+  }
+};
+
+// Transcribe each chunk from its own WAV file and stitch the words back onto one timeline
+const transcribeChunks = async (audioPath, chunks, modelPath, { language, prompt, signal, onProgress }) => {
+  // One failed chunk fails the transcription, so stop the others
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  signal?.addEventListener('abort', abort);
+
+  const chunkProgress = chunks.map(() => 0);
+  const results = new Array(chunks.length);
+  let completedChunks = 0;
+  let nextChunk = 0;
+
+  const reportProgress = () => onProgress({
+    stage: 'transcribing',
+    progress: chunkProgress.reduce((sum, progress) => sum + progress, 0) / chunks.length,
+    completedChunks,
+    totalChunks: chunks.length
+  });
+
+  const transcribeChunk = async (index) => {
+    const chunk = chunks[index];
+    const chunkPath = audioPath.replace(/\.wav$/, `.chunk-${index}.wav`);
+
+    try {
+      await writeWavSegment(audioPath, chunkPath, chunk.start, chunk.end);
+      const transcription = await runWhisper(chunkPath, modelPath, {
+        language,
+        prompt,
+        duration: chunk.end - chunk.start,
+        signal: controller.signal,
+        onProgress: (progress) => {
+          chunkProgress[index] = progress;
+          reportProgress();
+        }
+      });
+
+      chunkProgress[index] = 1;
+      completedChunks += 1;
+      reportProgress();
+
+      return {
+        chunk,
+        language: transcription.result?.language || null,
+        words: processWhisperTranscription(transcription)
+          .flatMap((segment) => segment.words)
+          .map((word) => ({ ...word, start: word.start + chunk.start, end: word.end + chunk.start }))
+      };
+    } finally {
+      await fs.unlink(chunkPath).catch(() => {});
+    }
+  };
+
+  const worker = async () => {
+    while (nextChunk < chunks.length && !controller.signal.aborted) {
+      const index = nextChunk++;
+      results[index] = await transcribeChunk(index);
+    }
+  };
+
+  try {
+    reportProgress();
+    await Promise.all(Array.from({ length: Math.min(getChunkConcurrency(), chunks.length) }, () => worker().catch((error) => {
+      abort();
+      throw error;
+    })));
+  } finally {
+    signal?.removeEventListener('abort', abort);
+  }
+
+  onProgress({ stage: 'post-processing' });
+  const words = stitchChunks(results);
+
+  return {
+    text: words.map((word) => word.word).join(' ') || null,
+    // whisper.cpp detects the language per chunk; the first chunk with speech decides
+    language: results.find((result) => result.words.length > 0)?.language || results[0].language,
+    segments: groupWhisperWords(words).map((segment, index) => ({ id: index + 1, ...segment }))
+  };
+};
+
+// Transcribe a video with whisper.cpp. Recordings longer than a chunk are split, see server/chunking.js.
+// The audio comes from the job (getAudioPath), or is extracted here and deleted afterwards.
+const transcribeWithWhisperCpp = async (videoPath, { language = 'auto', model, prompt, getAudioPath, signal, onProgress = () => {} } = {}) => {
+  try {
+    const modelPath = await selectModel(language, model);
+
+    // First extract audio from video
+    onProgress({ stage: 'extracting-audio' });
+    const audioPath = getAudioPath ? await getAudioPath() : await extractAudioFromVideo(videoPath, { signal });
+
+    try {
+      const duration = await getWavDuration(audioPath);
+      const chunks = await planAudioChunks(audioPath, duration, onProgress);
+
+      if (chunks.length > 1) {
+        return await transcribeChunks(audioPath, chunks, modelPath, { language, prompt, signal, onProgress });
+      }
+
+      const transcription = await runWhisper(audioPath, modelPath, {
+        language,
+        prompt,
+        duration,
+        signal,
+        onProgress: (progress) => onProgress({ stage: 'transcribing', progress })
+      });
+
+      onProgress({ stage: 'post-processing' });
+      return {
+        text: transcription.text || null,
+        language: transcription.result?.language || null,
+        segments: processWhisperTranscription(transcription)
+      };
+    } finally {
+      // Clean up audio file, unless the job still needs it
+      if (!getAudioPath) {
+        await fs.unlink(audioPath).catch(() => {});
+      }
+    }
+  } catch (error) {
+    console.error('Whisper.cpp transcription error:', error);
+    throw error;
+  }
+};
+
+export const whisperProvider = {
+  id: 'whisper',
+  name: 'Local Whisper.cpp',
+  icon: '🎙️',
+  description: 'Offline transcription with whisper.cpp',
+  capabilities: {
+    wordTimestamps: true,
+    offline: true,
+    languages: ['en', 'hi'],
+    languageDetection: true,
+    translation: true,
+    models: true
+  },
+  // Segment boundaries are loose, so voice-activity detection runs unless the request turns it off
+  defaults: { vad: true },
+  getAvailability: async () => {
+    const { binary, modelsDir } = getWhisperPaths();
+    if (!(await fs.pathExists(binary))) {
+      return { available: false, reason: `whisper.cpp is not built (${binary})` };
+    }
+    if ((await listModels()).length === 0) {
+      return { available: false, reason: `No model found in ${modelsDir}` };
+    }
+    return { available: true };
+  },
+  // The model file a transcription would use, so cached results from another model aren't reused
+  resolveModel: async (language, model) => path.basename(await selectModel(language, model)),
+  transcribe: (videoPath, { language, model, prompt, getAudioPath, signal, onProgress }) => (
+    transcribeWithWhisperCpp(videoPath, { language, model, prompt, getAudioPath, signal, onProgress })
+  )
+};
@@ -0,0 +1,111 @@
+import path from 'path';
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+import { bundle } from '@remotion/bundler';
+import { getCompositions, makeCancelSignal, renderMedia } from '@remotion/renderer';
+import { enableTailwind } from '@remotion/tailwind-v4';
+import { DEFAULT_SPEAKER_LABELS } from './speakers.js';
+import { getSecondaryCaptions } from './tracks.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const COMPOSITION_ID = 'CaptionedVideo';
+
+const DEFAULT_PRESET = {
+  name: 'Bottom Centered',
+  position: 'bottom',
+  style: 'bottom-centered'
+};
+
+// Rendered videos end up here
+export const outputDir = path.join(__dirname, '../out');
+fs.ensureDirSync(outputDir);
+
+// Bundling takes a while, so do it once and reuse the serve URL.
+// remotion.config.js does not apply to the Node APIs, hence the explicit Tailwind override.
+let bundlePromise = null;
+
+const getServeUrl = () => {
+  if (!bundlePromise) {
+    console.log('📦 Bundling Remotion project...');
+
+    bundlePromise = bundle({
+      entryPoint: path.join(__dirname, '../src/index.js'),
+      webpackOverride: enableTailwind
+    }).catch((error) => {
+      // Allow the next render to retry the bundle
+      bundlePromise = null;
+      throw error;
+    });
+  }
+
+  return bundlePromise;
+};
+
+// Build the CaptionedVideo input props for a stored project
+const getRenderInputProps = (project, baseUrl) => ({
+  videoSrc: `${baseUrl}${project.videoPath}`,
+  captions: project.captions,
+  preset: project.preset || DEFAULT_PRESET,
+  speakers: project.speakers || {},
+  speakerLabels: project.speakerLabels || DEFAULT_SPEAKER_LABELS,
+  secondaryCaptions: getSecondaryCaptions(project)
+});
+
+// Bundle the studio and render the composition to an MP4, stopping when cancelSignal fires
+const renderComposition = async (inputProps, { outputPath, cancelSignal, onProgress }) => {
+  onProgress({ stage: 'bundling', progress: 0 });
+  const serveUrl = await getServeUrl();
+
+  const compositions = await getCompositions(serveUrl, { inputProps });
+  const composition = compositions.find((c) => c.id === COMPOSITION_ID);
+
+  if (!composition) {
+    throw new Error(`Composition "${COMPOSITION_ID}" not found in bundle`);
+  }
+
+  // The composition duration comes from localStorage in the studio, so derive it from the captions here
+  const maxEndTime = Math.max(...inputProps.captions.map(c => c.end));
+  const durationInFrames = Math.ceil(maxEndTime * composition.fps);
+
+  await renderMedia({
+    composition: { ...composition, durationInFrames },
+    serveUrl,
+    codec: 'h264',
+    outputLocation: outputPath,
+    inputProps,
+    cancelSignal,
+    onProgress: ({ progress, renderedFrames, encodedFrames, stitchStage, renderEstimatedTime }) => {
+      onProgress({
+        stage: stitchStage,
+        progress,
+        renderedFrames,
+        encodedFrames,
+        totalFrames: durationInFrames,
+        etaMs: renderEstimatedTime
+      });
+    }
+  });
+
+  return { outputPath };
+};
+
+// Render a project's captions over its video. The signal aborts the render.
+export const renderProject = async (project, { baseUrl, outputPath, signal, onProgress = () => {} }) => {
+  const inputProps = getRenderInputProps(project, baseUrl);
+
+  if (!inputProps.captions || inputProps.captions.length === 0) {
+    throw new Error('Project has no captions to render');
+  }
+
+  // Hook the abort signal up first so a cancel during bundling still stops renderMedia
+  const { cancelSignal, cancel } = makeCancelSignal();
+  signal?.addEventListener('abort', cancel, { once: true });
+
+  try {
+    return await renderComposition(inputProps, { outputPath, cancelSignal, onProgress });
+  } finally {
+    signal?.removeEventListener('abort', cancel);
+  }
+};
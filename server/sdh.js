@@ -0,0 +1,322 @@
+import { spawn } from 'child_process';
+import { getCombinedProbability } from './confidence.js';
+
+// Captions for the deaf and hard of hearing (SDH). Sounds are shown as cues such as [music],
+// [applause] or [laughter], each a caption of its own tagged with the kind of sound:
+//
+//   { id, start, end, text: '[music]', sound: 'music', words: [{ word: '[music]', start, end, sound: 'music' }] }
+//
+// Cues come from the annotations whisper writes among the words, and from music and silence
+// found in the audio between the captions.
+
+export const DEFAULT_SDH_OPTIONS = {
+  silenceDb: -50, // half-second windows quieter than this (RMS, dBFS) are silence
+  maxFlatness: 0.3, // spectral flatness under this is tonal, like music; noise is close to 1
+  maxLevelSpread: 6, // dB; music holds its loudness where speech and noises swing
+  minMusic: 3, // seconds of music between captions before it gets a cue
+  minSilence: 5, // seconds of silence between captions before it gets a cue
+  cueDuration: 3 // seconds a detected cue stays on screen at most
+};
+
+const resolveOptions = (options = {}) => Object.fromEntries(
+  Object.entries(DEFAULT_SDH_OPTIONS).map(([key, fallback]) => {
+    const value = Number(options[key]);
+    // silenceDb is negative, everything else must be positive
+    const valid = key === 'silenceDb' ? Number.isFinite(value) && value < 0 : Number.isFinite(value) && value > 0;
+    return [key, valid ? value : fallback];
+  })
+);
+
+const SAMPLE_RATE = 16000;
+const WINDOW_DURATION = 0.5; // seconds of audio per measurement
+const MAX_MUSIC_DIP = 1; // seconds of quieter or noisier audio a stretch of music can bridge
+
+// Whisper writes sounds in many ways: [Music], (MUSIC PLAYING), ♪, *laughs*, [ Applause ]
+const ANNOTATION_CLOSERS = { '[': ']', '(': ')', '*': '*' };
+const MAX_ANNOTATION_WORDS = 6;
+const MUSIC_NOTES = /^[♪♫]+[.,!?]*$/;
+const TRAILING_PUNCTUATION = /[.,!?]+$/;
+
+const SOUND_KINDS = [
+  ['music', /\bmusic\b|^singing$/],
+  ['applause', /applau|clapping|\bclaps?\b/],
+  ['laughter', /laugh|chuckl|giggl/]
+];
+
+// Whisper saying it heard nothing. Silence gets its own cue from the audio, where it is long enough to matter.
+const NOT_SOUNDS = /^(blank audio|no speech|no audio|silence)$/;
+
+// The cue for an annotation, as { sound, text }, or null for one that isn't a sound
+export const normalizeSoundCue = (annotation) => {
+  if (/^[♪♫\s.,!?]+$/.test(annotation)) {
+    return { sound: 'music', text: '[music]' };
+  }
+
+  const description = annotation
+    .replace(/^[[(*♪♫\s]+|[\])*♪♫\s.,!?]+$/g, '')
+    .toLowerCase()
+    .replace(/[_\s]+/g, ' ')
+    .trim();
+
+  if (!description || NOT_SOUNDS.test(description)) {
+    return null;
+  }
+
+  const kind = SOUND_KINDS.find(([, pattern]) => pattern.test(description));
+  return kind ? { sound: kind[0], text: `[${kind[0]}]` } : { sound: 'sound', text: `[${description}]` };
+};
+
+// How many words the annotation starting at words[index] spans, or 0 if none starts there
+const getAnnotationLength = (words, index) => {
+  const first = words[index].word.trim();
+
+  if (MUSIC_NOTES.test(first)) {
+    return 1;
+  }
+
+  const closer = ANNOTATION_CLOSERS[first[0]];
+
+  if (!closer) {
+    return 0;
+  }
+
+  for (let i = index; i < Math.min(words.length, index + MAX_ANNOTATION_WORDS); i++) {
+    const text = words[i].word.trim().replace(TRAILING_PUNCTUATION, '');
+
+    if ((i === index ? text.slice(1) : text).endsWith(closer)) {
+      return i - index + 1;
+    }
+  }
+
+  return 0;
+};
+
+const createSoundCue = ({ sound, text }, start, end, probability = null) => ({
+  start,
+  end,
+  text,
+  sound,
+  words: [{ word: text, start, end, sound, ...(probability !== null && { probability }) }]
+});
+
+const renumber = (captions) => captions.map((caption, index) => ({ ...caption, id: index + 1 }));
+
+// Pull whisper's sound annotations out of the captions' words. With keep, each one becomes a sound cue
+// caption between the speech around it; without, it is dropped. Either way [BLANK_AUDIO] never shows.
+export const extractSoundCues = (captions, { keep = true } = {}) => {
+  const output = captions.flatMap((caption) => {
+    const words = caption.words || [];
+    const parts = [];
+    let speech = [];
+    let found = false;
+
+    const flushSpeech = () => {
+      if (speech.length > 0) {
+        parts.push({
+          ...caption,
+          start: speech[0].start,
+          end: speech[speech.length - 1].end,
+          text: speech.map((word) => word.word.trim()).join(' '),
+          words: speech
+        });
+        speech = [];
+      }
+    };
+
+    for (let index = 0; index < words.length;) {
+      const length = getAnnotationLength(words, index);
+
+      if (length === 0) {
+        speech.push(words[index]);
+        index += 1;
+        continue;
+      }
+
+      const annotation = words.slice(index, index + length);
+      const cue = normalizeSoundCue(annotation.map((word) => word.word.trim()).join(' '));
+
+      found = true;
+      flushSpeech();
+
+      if (cue && keep) {
+        parts.push(createSoundCue(cue, annotation[0].start, annotation[length - 1].end, getCombinedProbability(annotation)));
+      }
+
+      index += length;
+    }
+
+    if (!found) {
+      return [caption];
+    }
+
+    flushSpeech();
+    return parts;
+  });
+
+  // Whisper repeats [Music] in every segment it hears music in; one cue is enough
+  const merged = output.reduce((result, caption) => {
+    const previous = result[result.length - 1];
+
+    if (caption.sound && previous?.sound === caption.sound && caption.text === previous.text && caption.start - previous.end < WINDOW_DURATION) {
+      const end = Math.max(previous.end, caption.end);
+      result[result.length - 1] = { ...previous, end, words: [{ ...previous.words[0], end }] };
+    } else {
+      result.push(caption);
+    }
+
+    return result;
+  }, []);
+
+  return renumber(merged);
+};
+
+// Loudness and spectral flatness of every half second of a file's audio, as [{ start, level, flatness }],
+// measured by ffmpeg's astats and aspectralstats filters
+export const measureAudio = (mediaPath, { signal } = {}) => new Promise((resolve, reject) => {
+  const windows = [];
+  let pending = '';
+  let errorOutput = '';
+
+  const readLine = (line) => {
+    const frame = line.match(/pts_time:([\d.]+)/);
+    const level = line.match(/^lavfi\.astats\.Overall\.RMS_level=(.+)$/);
+    const flatness = line.match(/^lavfi\.aspectralstats\.\d+\.flatness=(.+)$/);
+    const current = windows[windows.length - 1];
+
+    if (frame) {
+      windows.push({ start: Number(frame[1]), level: -Infinity, flatness: null });
+    } else if (level && current) {
+      // ffmpeg writes -inf for digital silence
+      current.level = Number.isFinite(Number(level[1])) ? Number(level[1]) : -Infinity;
+    } else if (flatness && current) {
+      current.flatness = Number.isFinite(Number(flatness[1])) ? Number(flatness[1]) : null;
+    }
+  };
+
+  const ffmpeg = spawn('ffmpeg', [
+    '-nostats',
+    '-hide_banner',
+    '-i', mediaPath,
+    '-vn',
+    '-ac', '1',
+    '-ar', String(SAMPLE_RATE),
+    '-af', [
+      `asetnsamples=n=${SAMPLE_RATE * WINDOW_DURATION}`,
+      'astats=metadata=1:reset=1',
+      'aspectralstats=win_size=2048:measure=flatness',
+      'ametadata=mode=print:file=-'
+    ].join(','),
+    '-f', 'null',
+    '-'
+  ], { signal });
+
+  ffmpeg.stdout.on('data', (data) => {
+    const lines = (pending + data).split('\n');
+    pending = lines.pop();
+    lines.forEach((line) => readLine(line.trim()));
+  });
+
+  ffmpeg.stderr.on('data', (data) => {
+    errorOutput = (errorOutput + data).slice(-500);
+  });
+
+  ffmpeg.on('close', (code) => {
+    if (code === 0) {
+      readLine(pending.trim());
+      resolve(windows);
+    } else {
+      reject(new Error(`ffmpeg exited with code ${code}: ${errorOutput.trim().split('\n').pop()}`));
+    }
+  });
+
+  ffmpeg.on('error', (error) => {
+    reject(error);
+  });
+});
+
+// Consecutive windows that pass a test, allowing gaps of up to maxGap seconds
+const findRuns = (windows, test, maxGap) => windows.reduce((runs, window) => {
+  if (!test(window)) return runs;
+
+  const last = runs[runs.length - 1];
+  const end = window.start + WINDOW_DURATION;
+
+  if (last && window.start - last.end <= maxGap + 0.001) {
+    last.end = end;
+    last.windows.push(window);
+  } else {
+    runs.push({ start: window.start, end, windows: [window] });
+  }
+
+  return runs;
+}, []);
+
+const getSpread = (values) => {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+};
+
+// Music and silence in the audio, as [{ start, end, sound }]. Music is sound that is tonal (low spectral
+// flatness) and holds its loudness for at least minMusic seconds; silence is minSilence seconds under silenceDb.
+export const findSoundRegions = (windows, options = {}) => {
+  const settings = resolveOptions(options);
+  const isSilent = (window) => window.level < settings.silenceDb;
+  const isTonal = (window) => !isSilent(window) && window.flatness !== null && window.flatness < settings.maxFlatness;
+
+  const music = findRuns(windows, isTonal, MAX_MUSIC_DIP)
+    .filter((run) => run.end - run.start >= settings.minMusic)
+    .filter((run) => getSpread(run.windows.map((window) => window.level)) <= settings.maxLevelSpread)
+    .map(({ start, end }) => ({ start, end, sound: 'music' }));
+
+  const silence = findRuns(windows, isSilent, 0)
+    .filter((run) => run.end - run.start >= settings.minSilence)
+    .map(({ start, end }) => ({ start, end, sound: 'silence' }));
+
+  return [...music, ...silence].sort((a, b) => a.start - b.start);
+};
+
+// Give each region a cue in the time no caption covers, shown for up to cueDuration seconds. Silence
+// only counts between captions, and a region whisper already announced (its own [music]) is left alone.
+export const addSoundCues = (captions, regions, options = {}) => {
+  const settings = resolveOptions(options);
+  const minimum = { music: settings.minMusic, silence: settings.minSilence };
+  const cues = [];
+
+  regions.forEach((region) => {
+    const overlapping = captions.filter((caption) => caption.end > region.start && caption.start < region.end);
+
+    if (overlapping.some((caption) => caption.sound === region.sound)) {
+      return;
+    }
+
+    // The stretches of the region between captions
+    const gaps = [];
+    let cursor = region.start;
+
+    overlapping.forEach((caption) => {
+      if (caption.start > cursor) {
+        gaps.push({ start: cursor, end: caption.start });
+      }
+      cursor = Math.max(cursor, caption.end);
+    });
+
+    if (cursor < region.end) {
+      gaps.push({ start: cursor, end: region.end });
+    }
+
+    gaps
+      .filter((gap) => gap.end - gap.start >= minimum[region.sound])
+      .filter((gap) => region.sound !== 'silence' || (
+        captions.some((caption) => caption.end <= gap.start) && captions.some((caption) => caption.start >= gap.end)
+      ))
+      .forEach((gap) => {
+        cues.push(createSoundCue(
+          { sound: region.sound, text: `[${region.sound}]` },
+          gap.start,
+          Math.min(gap.end, gap.start + settings.cueDuration)
+        ));
+      });
+  });
+
+  return renumber([...captions, ...cues].sort((a, b) => a.start - b.start));
+};
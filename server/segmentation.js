@@ -0,0 +1,167 @@
+// Caption segmentation: groups timed words into captions that respect reading-speed and layout limits
+
+export const DEFAULT_SEGMENTATION_OPTIONS = {
+  maxCharsPerLine: 42,
+  maxLines: 2,
+  minDuration: 1, // seconds
+  maxDuration: 6, // seconds
+  maxCharsPerSecond: 17,
+  pauseThreshold: 0.5 // a silence this long between words always starts a new caption
+};
+
+// Fill in defaults and ignore anything that isn't a positive number
+const resolveOptions = (options = {}) => Object.fromEntries(
+  Object.entries(DEFAULT_SEGMENTATION_OPTIONS).map(([key, fallback]) => {
+    const value = Number(options[key]);
+    return [key, Number.isFinite(value) && value > 0 ? value : fallback];
+  })
+);
+
+const SENTENCE_END = /[.!?।॥…]["'”’)]*$/;
+const CLAUSE_END = /[,;:—–]["'”’)]*$/;
+
+const getWordText = (word) => (word.word || word.text || '').trim();
+
+const getText = (words) => words.map(getWordText).join(' ');
+
+// Whether the words wrap into at most maxLines lines of maxCharsPerLine (a single over-long word still gets its own line)
+const fitsInLines = (words, { maxCharsPerLine, maxLines }) => {
+  let lines = 1;
+  let lineLength = 0;
+
+  words.forEach((word) => {
+    const length = getWordText(word).length;
+
+    if (lineLength > 0 && lineLength + 1 + length > maxCharsPerLine) {
+      lines += 1;
+      lineLength = length;
+    } else {
+      lineLength += (lineLength > 0 ? 1 : 0) + length;
+    }
+  });
+
+  return lines <= maxLines;
+};
+
+// When a caption has to be cut early, prefer cutting after a comma or similar (or where the engine
+// ended a segment) in its second half
+const findClauseBreak = (words, segmentEnds) => {
+  for (let i = words.length - 2; i >= Math.floor(words.length / 2); i--) {
+    if (CLAUSE_END.test(getWordText(words[i])) || segmentEnds.has(words[i])) {
+      return i + 1;
+    }
+  }
+
+  return words.length;
+};
+
+// Captions whose words all carry the same language, speaker or sound get it too
+const getShared = (words, key) => {
+  const values = new Set(words.map((word) => word[key]));
+  return values.size === 1 ? [...values][0] : undefined;
+};
+
+const toCaption = (words, index) => {
+  const language = getShared(words, 'language');
+  const speaker = getShared(words, 'speaker');
+  const sound = getShared(words, 'sound');
+
+  return {
+    id: index + 1,
+    start: words[0].start,
+    end: words[words.length - 1].end,
+    text: getText(words),
+    ...(language && { language }),
+    ...(speaker && { speaker }),
+    ...(sound && { sound }),
+    words
+  };
+};
+
+// Lengthen captions that are too short or too fast to read, without running into the next caption
+const extendForReading = (captions, options) => captions.map((caption, index) => {
+  const next = captions[index + 1];
+  const limit = Math.min(next ? next.start : Infinity, caption.start + options.maxDuration);
+  const readingTime = caption.text.length / options.maxCharsPerSecond;
+  const wantedEnd = caption.start + Math.max(options.minDuration, readingTime);
+
+  return wantedEnd > caption.end
+    ? { ...caption, end: Math.max(caption.end, Math.min(wantedEnd, limit)) }
+    : caption;
+});
+
+const groupWords = (words, settings, segmentEnds = new Set()) => {
+  const groups = [];
+  let current = [];
+
+  const close = (count = current.length) => {
+    groups.push(current.slice(0, count));
+    current = current.slice(count);
+  };
+
+  words.filter((word) => getWordText(word).length > 0).forEach((word) => {
+    if (current.length > 0) {
+      const previous = current[current.length - 1];
+      const candidate = [...current, word];
+
+      // A new speaker, a sound cue (see sdh.js) or a long enough pause always starts a new caption
+      if (word.speaker !== previous.speaker || word.sound || previous.sound || word.start - previous.end >= settings.pauseThreshold) {
+        close();
+      } else if (!fitsInLines(candidate, settings) || word.end - current[0].start > settings.maxDuration) {
+        close(findClauseBreak(current, segmentEnds));
+      }
+    }
+
+    current.push(word);
+
+    // End on sentence punctuation once the caption has been on screen long enough
+    if (SENTENCE_END.test(getWordText(word)) && word.end - current[0].start >= settings.minDuration) {
+      close();
+    }
+  });
+
+  if (current.length > 0) {
+    close();
+  }
+
+  return groups.map(toCaption);
+};
+
+export const segmentWords = (words, options = {}) => {
+  const settings = resolveOptions(options);
+  return extendForReading(groupWords(words, settings), settings);
+};
+
+// Re-segment existing captions by their word timings. Captions without words are kept as they are.
+// With keepBreaks, a caption's end is always a break (an aligned script's line ends), and only
+// captions over the limits are split further.
+export const segmentCaptions = (captions, options = {}, { keepBreaks = false } = {}) => {
+  const settings = resolveOptions(options);
+  const output = [];
+  const segmentEnds = new Set();
+  let pendingWords = [];
+
+  const flushWords = () => {
+    if (pendingWords.length > 0) {
+      output.push(...groupWords(pendingWords, settings, segmentEnds));
+      pendingWords = [];
+    }
+  };
+
+  captions.forEach((caption) => {
+    if (caption.words && caption.words.length > 0) {
+      pendingWords.push(...caption.words);
+      segmentEnds.add(caption.words[caption.words.length - 1]);
+
+      if (keepBreaks) {
+        flushWords();
+      }
+    } else {
+      flushWords();
+      output.push(caption);
+    }
+  });
+  flushWords();
+
+  return extendForReading(output, settings).map((caption, index) => ({ ...caption, id: index + 1 }));
+};
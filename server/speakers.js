@@ -0,0 +1,33 @@
+import { SPEAKER_COLORS } from '../src/CaptionedVideo/presets.js';
+
+export { DEFAULT_SPEAKER_LABELS, SPEAKER_LABEL_MODES } from '../src/CaptionedVideo/presets.js';
+
+// Speaker names and colors are kept per project as { [speakerId]: { name, color } };
+// captions and their words carry only the speaker id.
+
+export const isSpeakerColor = (color) => typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color);
+
+// Speaker ids in order of first appearance
+const getSpeakerIds = (captions) => [...new Set(captions.map((caption) => caption.speaker).filter(Boolean))];
+
+// Every speaker in the captions with a name and color, keeping the ones the project already has
+export const getSpeakers = (captions, existing = {}) => Object.fromEntries(
+  getSpeakerIds(captions).map((id, index) => [id, {
+    name: existing[id]?.name || `Speaker ${index + 1}`,
+    color: existing[id]?.color || SPEAKER_COLORS[index % SPEAKER_COLORS.length]
+  }])
+);
+
+// Reassign everything said by one speaker to another
+export const mergeSpeakers = (captions, speakers, from, into) => {
+  const reassign = (item) => (item.speaker === from ? { ...item, speaker: into } : item);
+  const merged = captions.map((caption) => ({
+    ...reassign(caption),
+    ...(caption.words && { words: caption.words.map(reassign) })
+  }));
+
+  const remaining = { ...speakers };
+  delete remaining[from];
+
+  return { captions: merged, speakers: remaining };
+};
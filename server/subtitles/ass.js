@@ -0,0 +1,170 @@
+import {
+  FONT_FAMILIES,
+  KARAOKE_HIGHLIGHT_COLOR,
+  POSITION_OFFSETS,
+  PRESET_STYLES,
+  getPresetKey
+} from '../../src/CaptionedVideo/presets.js';
+
+// Matches the CaptionedVideo composition so margins and font sizes line up with the Remotion render
+const PLAY_RES_X = 1920;
+const PLAY_RES_Y = 1080;
+
+const DEVANAGARI_STYLE_SUFFIX = '-hi';
+
+const NAMED_COLORS = {
+  white: { r: 255, g: 255, b: 255, a: 1 },
+  black: { r: 0, g: 0, b: 0, a: 1 },
+  transparent: { r: 0, g: 0, b: 0, a: 0 }
+};
+
+// First color in a CSS value. Gradients collapse to their first stop.
+const parseCssColor = (value = '') => {
+  const rgba = value.match(/rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*(?:,\s*([\d.]+)\s*)?\)/);
+  if (rgba) {
+    return { r: Number(rgba[1]), g: Number(rgba[2]), b: Number(rgba[3]), a: rgba[4] === undefined ? 1 : Number(rgba[4]) };
+  }
+
+  const hex = value.match(/#([0-9a-f]{6}|[0-9a-f]{3})\b/i);
+  if (hex) {
+    const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+    return {
+      r: parseInt(digits.slice(0, 2), 16),
+      g: parseInt(digits.slice(2, 4), 16),
+      b: parseInt(digits.slice(4, 6), 16),
+      a: 1
+    };
+  }
+
+  const named = Object.keys(NAMED_COLORS).find((name) => new RegExp(`\\b${name}\\b`, 'i').test(value));
+  return named ? NAMED_COLORS[named] : null;
+};
+
+const toHexByte = (value) => Math.round(Math.min(Math.max(value, 0), 255)).toString(16).toUpperCase().padStart(2, '0');
+
+// ASS colors are &HAABBGGRR with 00 meaning opaque
+const toAssColor = ({ r, g, b, a }) => `&H${toHexByte((1 - a) * 255)}${toHexByte(b)}${toHexByte(g)}${toHexByte(r)}`;
+
+// "H:MM:SS.cc"
+const formatAssTime = (seconds) => {
+  const totalCs = Math.max(0, Math.round(seconds * 100));
+  const hours = Math.floor(totalCs / 360000);
+  const minutes = Math.floor((totalCs % 360000) / 6000);
+  const secs = Math.floor((totalCs % 6000) / 100);
+  const cs = totalCs % 100;
+
+  return `${hours}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}.${String(cs).padStart(2, '0')}`;
+};
+
+// Font stacks are CSS lists; ASS takes a single family
+const getPrimaryFont = (fontFamily) => fontFamily.split(',')[0].replace(/["']/g, '').trim();
+
+const STYLE_FORMAT = [
+  'Name', 'Fontname', 'Fontsize', 'PrimaryColour', 'SecondaryColour', 'OutlineColour', 'BackColour',
+  'Bold', 'Italic', 'Underline', 'StrikeOut', 'ScaleX', 'ScaleY', 'Spacing', 'Angle',
+  'BorderStyle', 'Outline', 'Shadow', 'Alignment', 'MarginL', 'MarginR', 'MarginV', 'Encoding'
+];
+
+// Translate one PRESET_STYLES entry into a [V4+ Styles] line.
+// CSS backgrounds become an opaque box (BorderStyle 3), which libass draws in OutlineColour with Outline as padding.
+const toAssStyle = (name, style, fontFamily) => {
+  const textColor = parseCssColor(style.color) || NAMED_COLORS.white;
+  const background = parseCssColor(style.background);
+  const [paddingY = 0] = (style.padding || '').split(/\s+/).map(parseFloat);
+  const width = parseFloat(style.maxWidth || style.width || '100%') / 100;
+  const isKaraoke = name.startsWith('karaoke');
+
+  // In karaoke, \k turns words from SecondaryColour to PrimaryColour as they are spoken
+  const primary = isKaraoke ? parseCssColor(KARAOKE_HIGHLIGHT_COLOR) : textColor;
+
+  const values = {
+    Name: name,
+    Fontname: getPrimaryFont(fontFamily),
+    Fontsize: parseFloat(style.fontSize),
+    PrimaryColour: toAssColor(primary),
+    SecondaryColour: toAssColor(textColor),
+    OutlineColour: toAssColor(background || NAMED_COLORS.black),
+    BackColour: toAssColor({ ...NAMED_COLORS.black, a: 0.8 }),
+    Bold: Number(style.fontWeight) >= 600 ? -1 : 0,
+    Italic: 0,
+    Underline: 0,
+    StrikeOut: 0,
+    ScaleX: 100,
+    ScaleY: 100,
+    Spacing: 0,
+    Angle: 0,
+    BorderStyle: background ? 3 : 1,
+    Outline: background ? paddingY : 2,
+    Shadow: background ? 0 : 2,
+    Alignment: style.position === 'top' ? 8 : 2,
+    MarginL: Math.round((PLAY_RES_X * (1 - width)) / 2),
+    MarginR: Math.round((PLAY_RES_X * (1 - width)) / 2),
+    MarginV: POSITION_OFFSETS[style.position] + paddingY,
+    Encoding: 1
+  };
+
+  return `Style: ${STYLE_FORMAT.map((key) => values[key]).join(',')}`;
+};
+
+// ASS has no escape for override braces, so swap them for parentheses
+const escapeAssText = (text) => text
+  .replace(/\{/g, '(')
+  .replace(/\}/g, ')')
+  .replace(/\r?\n/g, '\\N');
+
+// Build {\kNN} tags from word timings, in centiseconds counted from the caption start
+const toKaraokeText = (caption) => {
+  let elapsed = 0;
+
+  return caption.words.map((word) => {
+    const startCs = Math.round((word.start - caption.start) * 100);
+    const endCs = Math.max(Math.round((word.end - caption.start) * 100), startCs);
+    const gap = startCs > elapsed ? `{\\k${startCs - elapsed}}` : '';
+    const duration = endCs - Math.max(startCs, elapsed);
+
+    elapsed = Math.max(endCs, elapsed);
+    return `${gap}{\\k${Math.max(duration, 0)}}${escapeAssText(word.word.trim())}`;
+  }).join(' ');
+};
+
+export const serializeAss = (captions, project = {}) => {
+  const presetKey = getPresetKey(project.preset || {});
+
+  const styles = Object.entries(PRESET_STYLES).flatMap(([name, style]) => [
+    toAssStyle(name, style, FONT_FAMILIES.english),
+    toAssStyle(`${name}${DEVANAGARI_STYLE_SUFFIX}`, style, FONT_FAMILIES.hinglish)
+  ]);
+
+  const events = captions.map((caption) => {
+    // Same Devanagari check as CaptionRenderer picks the font with
+    const styleName = /[\u0900-\u097F]/.test(caption.text)
+      ? `${presetKey}${DEVANAGARI_STYLE_SUFFIX}`
+      : presetKey;
+
+    // Sound cues such as [music] are in italics, and never karaoke
+    const text = caption.sound
+      ? `{\\i1}${escapeAssText(caption.text.trim())}`
+      : presetKey === 'karaoke' && caption.words && caption.words.length > 0
+        ? toKaraokeText(caption)
+        : escapeAssText(caption.text.trim());
+
+    return `Dialogue: 0,${formatAssTime(caption.start)},${formatAssTime(caption.end)},${styleName},,0,0,0,,${text}`;
+  });
+
+  return [
+    '[Script Info]',
+    'ScriptType: v4.00+',
+    `PlayResX: ${PLAY_RES_X}`,
+    `PlayResY: ${PLAY_RES_Y}`,
+    'WrapStyle: 0',
+    'ScaledBorderAndShadow: yes',
+    '',
+    '[V4+ Styles]',
+    `Format: ${STYLE_FORMAT.join(', ')}`,
+    ...styles,
+    '',
+    '[Events]',
+    'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+    ...events
+  ].join('\n') + '\n';
+};
@@ -0,0 +1,25 @@
+import { parseSrt, serializeSrt } from './srt.js';
+import { parseVtt, serializeVtt } from './vtt.js';
+import { serializeAss } from './ass.js';
+
+// Subtitle formats available for caption import and export, keyed by file extension
+export const SUBTITLE_FORMATS = {
+  srt: {
+    contentType: 'application/x-subrip; charset=utf-8',
+    serialize: serializeSrt,
+    parse: parseSrt
+  },
+  vtt: {
+    contentType: 'text/vtt; charset=utf-8',
+    serialize: serializeVtt,
+    parse: parseVtt
+  },
+  // Export only
+  ass: {
+    contentType: 'text/x-ssa; charset=utf-8',
+    serialize: serializeAss,
+    parse: null
+  }
+};
+
+export const getSubtitleFormat = (format) => SUBTITLE_FORMATS[format?.toLowerCase()] || null;
@@ -0,0 +1,39 @@
+import { formatTimestamp, parseTimestamp } from './time.js';
+
+const TIMING_LINE = /^\s*(\S+)\s*-->\s*(\S+)/;
+
+export const serializeSrt = (captions) => captions
+  .map((caption, index) => [
+    index + 1,
+    `${formatTimestamp(caption.start)} --> ${formatTimestamp(caption.end)}`,
+    // Sound cues such as [music] in italics, as SDH captions show them
+    caption.sound ? `<i>${caption.text.trim()}</i>` : caption.text.trim()
+  ].join('\n'))
+  .join('\n\n') + '\n';
+
+// Parse SRT into { start, end, text } segments. Formatting tags are dropped and lines are joined.
+export const parseSrt = (content) => content
+  .replace(/^\uFEFF/, '')
+  .replace(/\r\n?/g, '\n')
+  .split(/\n{2,}/)
+  .map((block) => block.split('\n').filter((line) => line.trim() !== ''))
+  .filter((lines) => lines.some((line) => TIMING_LINE.test(line)))
+  .map((lines) => {
+    const timingIndex = lines.findIndex((line) => TIMING_LINE.test(line));
+    const [, start, end] = lines[timingIndex].match(TIMING_LINE);
+
+    const text = lines
+      .slice(timingIndex + 1)
+      .join(' ')
+      .replace(/<[^>]+>/g, '')
+      .replace(/\{\\[^}]*\}/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    return {
+      start: parseTimestamp(start),
+      end: parseTimestamp(end),
+      text
+    };
+  })
+  .filter((segment) => segment.text.length > 0);
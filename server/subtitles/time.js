@@ -0,0 +1,25 @@
+// Subtitle timestamps: "HH:MM:SS,mmm" for SRT and "HH:MM:SS.mmm" for WebVTT
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+export const formatTimestamp = (seconds, separator = ',') => {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+};
+
+// Accepts "HH:MM:SS,mmm", "HH:MM:SS.mmm" and "MM:SS.mmm"
+export const parseTimestamp = (value) => {
+  const match = value.trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2})[,.](\d{1,3})$/);
+
+  if (!match) {
+    throw new Error(`Invalid timestamp: ${value}`);
+  }
+
+  const [, hours = '0', minutes, secs, ms] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(secs) + Number(ms.padEnd(3, '0')) / 1000;
+};
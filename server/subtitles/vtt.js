@@ -0,0 +1,106 @@
+import { formatTimestamp, parseTimestamp } from './time.js';
+import { estimateWordTimings } from '../wordTiming.js';
+
+const TIMING_LINE = /^\s*(\S+)\s+-->\s+(\S+)/;
+const TIMESTAMP_TAG = /<((?:\d+:)?\d{1,2}:\d{1,2}\.\d{1,3})>/g;
+
+// Where each preset position puts the cue, as WebVTT cue settings
+const CUE_SETTINGS = {
+  top: 'line:10% position:50% align:center',
+  bottom: 'line:90% position:50% align:center'
+};
+
+const escapeText = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const unescapeText = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&amp;/g, '&');
+
+// Cue text with a <timestamp> tag in front of every word that starts after the cue
+const formatCueText = (caption) => {
+  // Sound cues such as [music] are in italics, and not spoken word by word
+  if (caption.sound) {
+    return `<i>${escapeText(caption.text.trim())}</i>`;
+  }
+
+  if (!caption.words || caption.words.length === 0) {
+    return escapeText(caption.text.trim());
+  }
+
+  return caption.words
+    .map((word) => {
+      const text = escapeText(word.word.trim());
+      return word.start > caption.start ? `<${formatTimestamp(word.start, '.')}>${text}` : text;
+    })
+    .join(' ');
+};
+
+export const serializeVtt = (captions, project = {}) => {
+  const settings = CUE_SETTINGS[project.preset?.position] || CUE_SETTINGS.bottom;
+
+  const cues = captions.map((caption, index) => [
+    index + 1,
+    `${formatTimestamp(caption.start, '.')} --> ${formatTimestamp(caption.end, '.')} ${settings}`,
+    formatCueText(caption)
+  ].join('\n'));
+
+  return ['WEBVTT', ...cues].join('\n\n') + '\n';
+};
+
+// Split cue text on its timestamp tags. Words between two tags share that span by estimated length.
+const parseCueWords = (text, start, end) => {
+  const parts = text.split(TIMESTAMP_TAG);
+
+  if (parts.length === 1) {
+    return null;
+  }
+
+  // split() with a capture group alternates text and timestamps: [text, time, text, time, text]
+  const chunks = [{ start, text: parts[0] }];
+  for (let i = 1; i < parts.length; i += 2) {
+    chunks.push({ start: parseTimestamp(parts[i]), text: parts[i + 1] });
+  }
+
+  return chunks.flatMap((chunk, index) => {
+    const chunkEnd = index + 1 < chunks.length ? chunks[index + 1].start : end;
+    return estimateWordTimings(unescapeText(chunk.text), chunk.start, chunkEnd);
+  });
+};
+
+// Parse WebVTT into { start, end, text, words? } segments. Words are only set when the cues carry timestamp tags.
+export const parseVtt = (content) => content
+  .replace(/^\uFEFF/, '')
+  .replace(/\r\n?/g, '\n')
+  .split(/\n{2,}/)
+  .map((block) => block.split('\n').filter((line) => line.trim() !== ''))
+  .filter((lines) => lines.some((line) => TIMING_LINE.test(line)))
+  .map((lines) => {
+    const timingIndex = lines.findIndex((line) => TIMING_LINE.test(line));
+    const [, startValue, endValue] = lines[timingIndex].match(TIMING_LINE);
+    const start = parseTimestamp(startValue);
+    const end = parseTimestamp(endValue);
+
+    // Drop styling tags (<c>, <v Speaker>, <i>...) but keep timestamp tags for the word timings
+    const rawText = lines
+      .slice(timingIndex + 1)
+      .join(' ')
+      .replace(/<(?!(?:\d+:)?\d{1,2}:\d{1,2}\.\d{1,3}>)[^>]*>/g, '');
+
+    const words = parseCueWords(rawText, start, end);
+    const text = unescapeText(rawText.replace(TIMESTAMP_TAG, ''))
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    return {
+      start,
+      end,
+      text,
+      ...(words && words.length > 0 && { words })
+    };
+  })
+  .filter((segment) => segment.text.length > 0);
@@ -0,0 +1,86 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+
+// Stand-ins for ffmpeg and whisper-cli: ffmpeg writes two seconds of silence and logs each run,
+// whisper-cli writes one word of --output-json-full next to its input
+const binDir = await fs.mkdtemp(path.join(os.tmpdir(), 'captions-test-'));
+const ffmpegLog = path.join(binDir, 'ffmpeg.log');
+
+await fs.writeFile(path.join(binDir, 'ffmpeg'), `#!${process.execPath}
+const fs = require('fs');
+const output = process.argv[process.argv.length - 1];
+const samples = 32000;
+const header = Buffer.alloc(44);
+header.write('RIFF', 0);
+header.writeUInt32LE(36 + samples * 2, 4);
+header.write('WAVEfmt ', 8);
+header.writeUInt32LE(16, 16);
+header.writeUInt16LE(1, 20);
+header.writeUInt16LE(1, 22);
+header.writeUInt32LE(16000, 24);
+header.writeUInt32LE(32000, 28);
+header.writeUInt16LE(2, 32);
+header.writeUInt16LE(16, 34);
+header.write('data', 36);
+header.writeUInt32LE(samples * 2, 40);
+fs.writeFileSync(output, Buffer.concat([header, Buffer.alloc(samples * 2)]));
+fs.appendFileSync(${JSON.stringify(ffmpegLog)}, output + '\\n');
+`, { mode: 0o755 });
+
+await fs.writeFile(path.join(binDir, 'whisper-cli'), `#!${process.execPath}
+const fs = require('fs');
+const input = process.argv[process.argv.indexOf('-f') + 1];
+fs.writeFileSync(input + '.json', JSON.stringify({
+  result: { language: 'en' },
+  transcription: [{ text: ' hello', offsets: { from: 0, to: 500 }, tokens: [{ text: ' hello', offsets: { from: 0, to: 500 }, p: 0.9 }] }]
+}));
+`, { mode: 0o755 });
+
+await fs.writeFile(path.join(binDir, 'ggml-base.bin'), 'lmgg');
+
+process.env.PATH = `${binDir}${path.delimiter}${process.env.PATH}`;
+process.env.WHISPER_BINARY = path.join(binDir, 'whisper-cli');
+process.env.WHISPER_MODELS_DIR = binDir;
+
+const { createAudioSource } = await import('../audio.js');
+const { whisperProvider } = await import('../providers/whisper.js');
+
+const countFfmpegRuns = async () => (await fs.pathExists(ffmpegLog) ? (await fs.readFile(ffmpegLog, 'utf8')).trim().split('\n').length : 0);
+
+test.beforeEach(() => fs.remove(ffmpegLog));
+test.after(() => fs.remove(binDir));
+
+test('an audio source extracts once and deletes the audio on release', async () => {
+  const audio = createAudioSource('video.mp4');
+  const first = await audio.getAudioPath();
+  const second = await audio.getAudioPath();
+
+  assert.equal(first, second);
+  assert.equal(await countFfmpegRuns(), 1);
+
+  await audio.release();
+  assert.equal(await fs.pathExists(first), false);
+});
+
+test('a whisper transcription uses the job\'s audio instead of extracting its own', async () => {
+  const audio = createAudioSource('video.mp4');
+
+  try {
+    const result = await whisperProvider.transcribe('video.mp4', {
+      language: 'en',
+      getAudioPath: audio.getAudioPath,
+      signal: new AbortController().signal,
+      onProgress: () => {}
+    });
+
+    assert.equal(result.segments[0].text, 'hello');
+    // Later stages (speech detection, diarization) read the same file
+    assert.equal(await fs.pathExists(await audio.getAudioPath()), true);
+    assert.equal(await countFfmpegRuns(), 1);
+  } finally {
+    await audio.release();
+  }
+});
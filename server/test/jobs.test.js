@@ -0,0 +1,52 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import path from 'path';
+import fs from 'fs-extra';
+import { cancelJob, enqueueJob, getJobEvent, jobsDir, registerJobHandler } from '../jobs.js';
+import { streamProgress } from '../progress.js';
+
+// A response that keeps the events written to it
+const listen = (job) => {
+  const events = [];
+  const res = {
+    writeHead: () => {},
+    write: (chunk) => {
+      const data = chunk.match(/^data: (.*)\n\n$/);
+      if (data) events.push(JSON.parse(data[1]));
+    },
+    end: () => {}
+  };
+
+  streamProgress(job.id, new EventEmitter(), res, getJobEvent(job));
+  return events;
+};
+
+test('queued jobs are told their new position as the jobs ahead of them leave the queue', async () => {
+  const finishers = [];
+  registerJobHandler('queue-test', () => new Promise((resolve) => finishers.push(resolve)));
+
+  const jobs = [1, 2, 3, 4].map(() => enqueueJob('queue-test', {}));
+
+  try {
+    const events = listen(jobs[3]);
+    assert.equal(events.at(-1).position, 3);
+
+    // Waiting jobs leave the queue when cancelled...
+    cancelJob(jobs[1].id);
+    assert.equal(events.at(-1).position, 2);
+
+    // ...and when they start, here once the running one finishes
+    finishers.shift()();
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(jobs[2].status, 'running');
+    assert.equal(events.at(-1).position, 1);
+
+    finishers.shift()();
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(events.at(-1).status, 'running');
+    finishers.shift()();
+  } finally {
+    await Promise.all(jobs.map((job) => fs.remove(path.join(jobsDir, `${job.id}.json`))));
+  }
+});
@@ -0,0 +1,18 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { fixCaptions, lintCaptions } from '../lint.js';
+
+test('a caption both too short and read too fast is extended far enough for both rules', () => {
+  const captions = [
+    { id: 1, start: 0, end: 0.1, text: 'Hi there' },
+    { id: 2, start: 5, end: 7, text: 'Next' }
+  ];
+  const issues = lintCaptions(captions);
+
+  assert.deepEqual(issues.filter((issue) => issue.index === 0).map((issue) => issue.rule).sort(), ['min-duration', 'reading-speed']);
+
+  const { captions: fixed } = fixCaptions(captions, issues);
+
+  assert.equal(fixed[0].end, 1);
+  assert.deepEqual(lintCaptions(fixed).filter((issue) => issue.index === 0), []);
+});
@@ -0,0 +1,23 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { transliterateCaptions, transliterateText } from '../transliteration.js';
+
+test('English words spelled like Hinglish ones stay in Latin script', () => {
+  assert.equal(transliterateText('It is a mere detail, par for the course', 'devanagari'), 'It is a mere detail, par for the course');
+});
+
+test('a mixed English and Hinglish line only converts the Hindi', () => {
+  assert.equal(transliterateText('Yeh video bahut accha hai, par for the course', 'devanagari'), 'यह video बहुत अच्छा है, par for the course');
+});
+
+test('words tagged as Hindi convert even when they are also English spellings', () => {
+  const words = [
+    { word: 'mere', start: 0, end: 0.4, language: 'hi' },
+    { word: 'dost', start: 0.4, end: 0.8, language: 'hi' },
+    { word: 'par', start: 0.8, end: 1.2 }
+  ];
+  const [caption] = transliterateCaptions([{ id: 1, start: 0, end: 1.2, text: 'mere dost par', words }], 'devanagari');
+
+  assert.equal(caption.text, 'मेरे दोस्त par');
+  assert.deepEqual(caption.words.map((word) => [word.start, word.end]), [[0, 0.4], [0.4, 0.8], [0.8, 1.2]]);
+});
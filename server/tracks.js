@@ -0,0 +1,35 @@
+// A project's captions are its original track, in the language the engine detected (project.language).
+// Translations are kept alongside as extra tracks keyed by language:
+//
+//   project.tracks = { [language]: { language, source, translator, captions, updatedAt } }
+//   project.secondaryTrack = language of the track shown under the original, or null
+
+export const isLanguageCode = (code) => typeof code === 'string' && /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(code);
+
+// Summaries for the API, original first
+export const listTracks = (project) => [
+  {
+    language: project.language || null,
+    original: true,
+    captionCount: project.captions.length
+  },
+  ...Object.values(project.tracks || {}).map(({ language, source, translator, captions, updatedAt }) => ({
+    language,
+    original: false,
+    source,
+    translator,
+    captionCount: captions.length,
+    updatedAt
+  }))
+];
+
+// The captions of a track, with the original under its language, or null
+export const getTrackCaptions = (project, language) => {
+  if (project.tracks?.[language]) {
+    return project.tracks[language].captions;
+  }
+  return language === project.language ? project.captions : null;
+};
+
+// The track to stack under the original when rendering, if there is one
+export const getSecondaryCaptions = (project) => project.tracks?.[project.secondaryTrack]?.captions || [];
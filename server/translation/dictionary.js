@@ -0,0 +1,110 @@
+import path from 'path';
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// A word-for-word translator from a phrase list. It keeps the source word order and leaves
+// anything it doesn't know (names, English in a Hinglish line) as it is, so the output is a
+// rough gloss rather than a translation — enough to test the pipeline and to place a track
+// for someone to correct, with no model and no network.
+const DICTIONARY_PATH = path.join(__dirname, 'dictionaries/hi-en.json');
+
+const DEVANAGARI = /[\u0900-\u097F]/;
+
+// Sentence marks that change with the script
+const PUNCTUATION = {
+  en: { '।': '.', '॥': '.' },
+  hi: { '.': '।' }
+};
+
+// Split a token into leading punctuation, the word and trailing punctuation
+const TOKEN = /^([^\p{L}\p{N}]*)(.*?)([^\p{L}\p{N}\p{M}]*)$/u;
+
+const splitToken = (token) => {
+  const [, leading, word, trailing] = token.match(TOKEN);
+  return { leading, word, trailing };
+};
+
+const normalize = (word) => word.toLowerCase();
+
+// { [from-to]: Map<phrase, translation> }, loaded on first use. The file lists Hindi → English;
+// English → Hindi is the reverse of its Devanagari entries, first listed wins.
+let dictionaries = null;
+
+const loadDictionaries = async () => {
+  if (!dictionaries) {
+    const { 'hi-en': hindiToEnglish } = await fs.readJson(DICTIONARY_PATH);
+    const englishToHindi = new Map();
+
+    Object.entries(hindiToEnglish)
+      .filter(([hindi]) => DEVANAGARI.test(hindi))
+      .forEach(([hindi, english]) => {
+        if (!englishToHindi.has(normalize(english))) {
+          englishToHindi.set(normalize(english), hindi);
+        }
+      });
+
+    dictionaries = {
+      'hi-en': new Map(Object.entries(hindiToEnglish).map(([hindi, english]) => [normalize(hindi), english])),
+      'en-hi': englishToHindi
+    };
+  }
+
+  return dictionaries;
+};
+
+const getLongestPhrase = (dictionary) => Math.max(...[...dictionary.keys()].map((phrase) => phrase.split(' ').length));
+
+// Translate one line, matching the longest known phrase at each position. A phrase can't span
+// punctuation, except at its end.
+const translateLine = (text, dictionary, to) => {
+  const tokens = text.split(/\s+/).filter(Boolean).map(splitToken);
+  const longest = getLongestPhrase(dictionary);
+  const output = [];
+
+  for (let i = 0; i < tokens.length;) {
+    let matched = null;
+
+    for (let length = Math.min(longest, tokens.length - i); length > 0 && !matched; length--) {
+      const run = tokens.slice(i, i + length);
+      const joined = run.slice(0, -1).every((token) => !token.trailing) && run.slice(1).every((token) => !token.leading);
+      const translation = joined && dictionary.get(normalize(run.map((token) => token.word).join(' ')));
+
+      if (translation) {
+        matched = { length, translation, leading: run[0].leading, trailing: run[length - 1].trailing };
+      }
+    }
+
+    const { length, translation, leading, trailing } = matched || { length: 1, translation: tokens[i].word, ...tokens[i] };
+    const marks = PUNCTUATION[to] || {};
+    const convert = (punctuation) => [...punctuation].map((mark) => marks[mark] || mark).join('');
+
+    output.push(`${convert(leading)}${translation}${convert(trailing)}`);
+    i += length;
+  }
+
+  const line = output.join(' ');
+
+  // Lines start with a capital in English, even when the word translated from was mid-sentence
+  return to === 'en' ? line.replace(/^([^\p{L}]*)(\p{Ll})/u, (_, leading, letter) => `${leading}${letter.toUpperCase()}`) : line;
+};
+
+export const dictionaryTranslator = {
+  id: 'dictionary',
+  name: 'Dictionary (offline)',
+  description: 'Word-for-word gloss from a built-in Hindi/English phrase list',
+  offline: true,
+  pairs: [['hi', 'en'], ['en', 'hi']],
+  getAvailability: async () => ({ available: true }),
+  translate: async (texts, { from, to, signal }) => {
+    const dictionary = (await loadDictionaries())[`${from}-${to}`];
+
+    if (signal?.aborted) {
+      throw new Error('Translation cancelled');
+    }
+
+    return texts.map((text) => translateLine(text, dictionary, to));
+  }
+};
@@ -0,0 +1,78 @@
+import { estimateWordTimings } from '../wordTiming.js';
+import { dictionaryTranslator } from './dictionary.js';
+
+// Translation backends. Each one turns caption text from one language into another:
+//
+//   id, name, description, offline
+//   pairs: [[from, to], ...]          the language pairs it can translate
+//   getAvailability() -> { available, reason? }
+//   translate(texts, { from, to, signal }) -> texts, one per input and in the same order
+
+const translators = new Map();
+
+export const registerTranslator = (translator) => {
+  translators.set(translator.id, translator);
+};
+
+export const getTranslator = (id) => translators.get(id) || null;
+
+export const DEFAULT_TRANSLATOR = 'dictionary';
+
+export const supportsPair = (translator, from, to) => translator.pairs.some(([source, target]) => source === from && target === to);
+
+// Translator descriptions for the API and UI, without the functions
+export const listTranslators = () => Promise.all([...translators.values()].map(async (translator) => ({
+  id: translator.id,
+  name: translator.name,
+  description: translator.description,
+  offline: translator.offline,
+  pairs: translator.pairs,
+  ...(await translator.getAvailability())
+})));
+
+// Translate captions into a new track. Cue ids, timings and speakers stay as they are; word timings
+// are estimated again for the translated text, since its words don't line up with the original's.
+// Captions already in the target language (English lines in a Hinglish video) and sound cues such as
+// [music] are kept as they are.
+export const translateCaptions = async (captions, { from, to, translator: translatorId = DEFAULT_TRANSLATOR, signal } = {}) => {
+  const translator = getTranslator(translatorId);
+
+  if (!translator) {
+    throw new Error(`Unknown translator: ${translatorId}`);
+  }
+
+  if (!supportsPair(translator, from, to)) {
+    throw new Error(`${translator.name} can't translate ${from} to ${to}`);
+  }
+
+  const pending = captions.filter((caption) => caption.language !== to && !caption.sound);
+  const translated = await translator.translate(pending.map((caption) => caption.text), { from, to, signal });
+
+  if (!Array.isArray(translated) || translated.length !== pending.length) {
+    throw new Error(`${translator.name} returned ${translated?.length ?? 'no'} lines for ${pending.length} captions`);
+  }
+
+  const translations = new Map(pending.map((caption, index) => [caption, String(translated[index]).trim()]));
+
+  return captions.map((caption) => {
+    const text = translations.has(caption) ? translations.get(caption) : caption.text;
+
+    if (caption.sound) {
+      return { ...caption, language: to };
+    }
+
+    return {
+      id: caption.id,
+      start: caption.start,
+      end: caption.end,
+      text,
+      language: to,
+      ...(caption.speaker && { speaker: caption.speaker }),
+      words: estimateWordTimings(text, caption.start, caption.end)
+        .map((word) => (caption.speaker ? { ...word, speaker: caption.speaker } : word))
+    };
+  });
+};
+
+// Built-in translators, in the order the UI shows them
+[dictionaryTranslator].forEach(registerTranslator);
@@ -0,0 +1,268 @@
+// Rule-based transliteration of Hindi between Devanagari and the Roman spelling used in Hinglish
+// ("यह एक बेहतरीन वीडियो है" <-> "yeh ek behtareen video hai"). Words are converted one at a time,
+// so captions keep their words and word timings. Runs offline with no model.
+
+export const SCRIPTS = ['devanagari', 'roman'];
+
+// Devanagari letters and digits, but not the danda
+const DEVANAGARI_RUN = /[\u0900-\u0963\u0966-\u097F]+/g;
+const DEVANAGARI = /[\u0900-\u097F]/;
+
+// Common words whose everyday Hinglish spelling the rules don't produce. Used in both directions,
+// and, apart from ENGLISH_SPELLINGS, the only Latin words taken to be Hindi unless the transcription
+// tagged them as Hindi.
+const COMMON_WORDS = [
+  ['यह', 'yeh'], ['ये', 'ye'], ['वह', 'woh'], ['वो', 'wo'], ['में', 'mein'], ['मैं', 'main'], ['हम', 'hum'],
+  ['हैं', 'hain'], ['है', 'hai'], ['हूँ', 'hoon'], ['हूं', 'hoon'], ['था', 'tha'], ['थी', 'thi'],
+  ['नहीं', 'nahi'], ['ना', 'na'], ['हाँ', 'haan'], ['क्या', 'kya'], ['क्यों', 'kyun'], ['कैसे', 'kaise'], ['कहाँ', 'kahan'],
+  ['कब', 'kab'], ['कौन', 'kaun'], ['और', 'aur'], ['या', 'ya'], ['लेकिन', 'lekin'], ['तो', 'toh'], ['भी', 'bhi'], ['ही', 'hi'],
+  ['एक', 'ek'], ['दो', 'do'], ['आप', 'aap'], ['तुम', 'tum'], ['मेरा', 'mera'], ['मेरी', 'meri'], ['मेरे', 'mere'],
+  ['आपका', 'aapka'], ['आपकी', 'aapki'], ['आपके', 'aapke'], ['हमारा', 'hamara'], ['का', 'ka'], ['की', 'ki'], ['के', 'ke'],
+  ['को', 'ko'], ['से', 'se'], ['पर', 'par'], ['तक', 'tak'], ['साथ', 'saath'], ['लिए', 'liye'], ['कि', 'ki'],
+  ['बहुत', 'bahut'], ['सब', 'sab'], ['कुछ', 'kuch'], ['अच्छा', 'accha'], ['अच्छी', 'acchi'], ['अच्छे', 'acche'],
+  ['बेहतरीन', 'behtareen'], ['बढ़िया', 'badhiya'], ['ज़्यादा', 'zyada'], ['आज', 'aaj'], ['कल', 'kal'], ['अभी', 'abhi'],
+  ['अब', 'ab'], ['फिर', 'phir'], ['यहाँ', 'yahan'], ['वहाँ', 'wahan'], ['दोस्तों', 'doston'], ['दोस्त', 'dost'],
+  ['बात', 'baat'], ['काम', 'kaam'], ['करना', 'karna'], ['करते', 'karte'], ['करेंगे', 'karenge'], ['करो', 'karo'],
+  ['होता', 'hota'], ['होती', 'hoti'], ['रहा', 'raha'], ['रही', 'rahi'], ['रहे', 'rahe'], ['चलो', 'chalo'],
+  ['देखो', 'dekho'], ['समझ', 'samajh'], ['वीडियो', 'video'], ['चैनल', 'channel'], ['हर', 'har'], ['धन्यवाद', 'dhanyavaad'],
+  ['नमस्ते', 'namaste'], ['शुक्रिया', 'shukriya'], ['स्वागत', 'swagat'], ['बनाते', 'banate'], ['पहले', 'pehle']
+];
+
+// Spellings that are also English words ("a mere detail", "par for the course"); these stay in Latin
+// script unless the transcription tagged the word as Hindi
+const ENGLISH_SPELLINGS = ['hi', 'do', 'main', 'video', 'channel', 'mere', 'par', 'ye', 'hum', 'tum', 'sab', 'ya', 'ab', 'na'];
+
+const ROMAN_BY_WORD = new Map(COMMON_WORDS.map(([devanagari, roman]) => [devanagari.normalize('NFC'), roman]));
+// First listed wins, so "ki" is की rather than कि
+const HINDI_BY_WORD = new Map([...COMMON_WORDS].reverse().map(([devanagari, roman]) => [roman, devanagari]));
+const DEVANAGARI_BY_WORD = new Map([...HINDI_BY_WORD].filter(([roman]) => !ENGLISH_SPELLINGS.includes(roman)));
+
+// Devanagari -> Roman
+
+const CONSONANTS = {
+  'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'n',
+  'च': 'ch', 'छ': 'chh', 'ज': 'j', 'झ': 'jh', 'ञ': 'n',
+  'ट': 't', 'ठ': 'th', 'ड': 'd', 'ढ': 'dh', 'ण': 'n',
+  'त': 't', 'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n',
+  'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm',
+  'य': 'y', 'र': 'r', 'ल': 'l', 'व': 'v',
+  'श': 'sh', 'ष': 'sh', 'स': 's', 'ह': 'h'
+};
+
+// Consonants with a nukta below, which text normalized to NFD writes as the consonant and the sign
+const NUKTA = '\u093C';
+const NUKTA_CONSONANTS = { 'क': 'q', 'ख': 'kh', 'ग': 'gh', 'ज': 'z', 'ड': 'd', 'ढ': 'dh', 'फ': 'f', 'य': 'y' };
+
+const VOWELS = {
+  'अ': 'a', 'आ': 'aa', 'इ': 'i', 'ई': 'ee', 'उ': 'u', 'ऊ': 'oo', 'ऋ': 'ri',
+  'ए': 'e', 'ऐ': 'ai', 'ओ': 'o', 'औ': 'au', 'ऍ': 'e', 'ऑ': 'o'
+};
+
+const VOWEL_SIGNS = {
+  'ा': 'aa', 'ि': 'i', 'ी': 'ee', 'ु': 'u', 'ू': 'oo', 'ृ': 'ri',
+  'े': 'e', 'ै': 'ai', 'ो': 'o', 'ौ': 'au', 'ॅ': 'e', 'ॉ': 'o'
+};
+
+const VIRAMA = '्';
+const NASAL_SIGNS = ['ँ', 'ं']; // chandrabindu, anusvara
+const VISARGA = 'ः';
+
+// The anusvara sounds as "m" before these
+const LABIALS = ['p', 'ph', 'b', 'bh', 'm', 'f'];
+
+// Long vowels are written short at the end of a Hinglish word: "tha", "bhi"
+const FINAL_VOWELS = { aa: 'a', ee: 'i', oo: 'u' };
+
+const DIGITS = '०१२३४५६७८९';
+
+// Split a run of Devanagari into consonants (with their vowel), vowels and nasal signs
+const parseSyllables = (text) => {
+  const units = [];
+
+  [...text.normalize('NFD')].forEach((char) => {
+    const last = units[units.length - 1];
+
+    if (char === NUKTA && last?.type === 'consonant') {
+      last.roman = NUKTA_CONSONANTS[last.char] || last.roman;
+    } else if (CONSONANTS[char]) {
+      units.push({ type: 'consonant', char, roman: CONSONANTS[char], vowel: 'a', inherent: true });
+    } else if (VOWEL_SIGNS[char] && last?.type === 'consonant') {
+      Object.assign(last, { vowel: VOWEL_SIGNS[char], inherent: false });
+    } else if (char === VIRAMA && last?.type === 'consonant') {
+      Object.assign(last, { vowel: '', inherent: false });
+    } else if (VOWELS[char]) {
+      units.push({ type: 'vowel', roman: VOWELS[char] });
+    } else if (NASAL_SIGNS.includes(char)) {
+      units.push({ type: 'nasal' });
+    } else if (char === VISARGA) {
+      units.push({ type: 'vowel', roman: 'h' });
+    } else if (DIGITS.includes(char)) {
+      units.push({ type: 'vowel', roman: String(DIGITS.indexOf(char)) });
+    }
+  });
+
+  return units;
+};
+
+const hasVowel = (unit) => unit && (unit.type === 'vowel' || (unit.type === 'consonant' && unit.vowel !== ''));
+
+// Hindi drops the inherent "a" of a word's last consonant, and of a consonant between two
+// vowels when the next consonant keeps its vowel (कर्-ना, not क-र-ना). Applied right to left.
+const deleteSchwas = (units) => {
+  const last = units[units.length - 1];
+
+  if (units.length > 1 && last.type === 'consonant' && last.inherent) {
+    last.vowel = '';
+  }
+
+  for (let i = units.length - 2; i > 0; i--) {
+    const unit = units[i];
+    const next = units[i + 1];
+
+    if (unit.type === 'consonant' && unit.inherent && hasVowel(units[i - 1]) && next.type === 'consonant' && next.vowel !== '') {
+      unit.vowel = '';
+    }
+  }
+
+  return units;
+};
+
+const romanizeRun = (run) => {
+  const units = deleteSchwas(parseSyllables(run));
+  const lastSounding = units.filter((unit) => unit.type !== 'nasal').pop();
+
+  return units.map((unit, index) => {
+    if (unit.type === 'nasal') {
+      const next = units[index + 1];
+      return next?.type === 'consonant' && LABIALS.includes(next.roman) ? 'm' : 'n';
+    }
+
+    const vowel = unit.type === 'consonant' ? unit.vowel : unit.roman;
+    const spelled = unit === lastSounding && FINAL_VOWELS[vowel] ? FINAL_VOWELS[vowel] : vowel;
+
+    return unit.type === 'consonant' ? `${unit.roman}${spelled}` : spelled;
+  }).join('');
+};
+
+// Roman -> Devanagari
+
+// Longest spellings first
+const ROMAN_CONSONANTS = [
+  ['cch', 'च्छ'], ['chh', 'छ'], ['ch', 'च'], ['kh', 'ख'], ['gh', 'घ'], ['jh', 'झ'], ['th', 'थ'], ['dh', 'ध'],
+  ['ph', 'फ'], ['bh', 'भ'], ['sh', 'श'], ['k', 'क'], ['g', 'ग'], ['j', 'ज'], ['t', 'त'], ['d', 'द'], ['n', 'न'],
+  ['p', 'प'], ['b', 'ब'], ['m', 'म'], ['y', 'य'], ['r', 'र'], ['l', 'ल'], ['v', 'व'], ['w', 'व'], ['s', 'स'],
+  ['h', 'ह'], ['f', `फ${NUKTA}`], ['z', `ज${NUKTA}`], ['q', `क${NUKTA}`], ['c', 'क'], ['x', 'क्स']
+];
+
+// [spelling, independent vowel, vowel sign]
+const ROMAN_VOWELS = [
+  ['aa', 'आ', 'ा'], ['ee', 'ई', 'ी'], ['ii', 'ई', 'ी'], ['oo', 'ऊ', 'ू'], ['uu', 'ऊ', 'ू'],
+  ['ai', 'ऐ', 'ै'], ['au', 'औ', 'ौ'], ['ei', 'ए', 'े'], ['ou', 'औ', 'ौ'],
+  ['a', 'अ', ''], ['i', 'इ', 'ि'], ['u', 'उ', 'ु'], ['e', 'ए', 'े'], ['o', 'ओ', 'ो']
+];
+
+// A short vowel at the end of a word is usually a long one in Hindi spelling: "kya" क्या, "bhi" भी
+const FINAL_ROMAN_VOWELS = { a: 'aa', i: 'ee' };
+
+// Consonants that join the one before them into a conjunct: "kya" क्या, "swagat" स्वागत
+const JOINING = ['य', 'व'];
+
+const readToken = (word, index) => {
+  for (const [spelling, independent, sign] of ROMAN_VOWELS) {
+    if (word.startsWith(spelling, index)) return { type: 'vowel', spelling, independent, sign };
+  }
+  for (const [spelling, letter] of ROMAN_CONSONANTS) {
+    if (word.startsWith(spelling, index)) return { type: 'consonant', spelling, letter };
+  }
+  return null;
+};
+
+// Latin letters only; anything else means the word isn't Hinglish
+const toDevanagariWord = (word) => {
+  const tokens = [];
+
+  for (let index = 0; index < word.length;) {
+    const token = readToken(word, index);
+    if (!token) return null;
+    tokens.push(token);
+    index += token.spelling.length;
+  }
+
+  return tokens.map((token, index) => {
+    const previous = tokens[index - 1];
+    const next = tokens[index + 1];
+
+    if (token.type === 'vowel') {
+      const isFinal = !next || (next.spelling === 'n' && !tokens[index + 2]);
+      const vowel = isFinal && previous?.type === 'consonant' && FINAL_ROMAN_VOWELS[token.spelling]
+        ? ROMAN_VOWELS.find(([spelling]) => spelling === FINAL_ROMAN_VOWELS[token.spelling])
+        : [token.spelling, token.independent, token.sign];
+
+      return previous?.type === 'consonant' ? vowel[2] : vowel[1];
+    }
+
+    // "n" before a consonant or closing the word after a vowel is a nasal sign: "hain" हैं, "hindi" हिंदी
+    if (token.letter === 'न' && previous?.type === 'vowel' && (!next || next.type === 'consonant')) {
+      return 'ं';
+    }
+
+    // Write a conjunct for doubled consonants, "s" clusters and joining consonants; otherwise the
+    // consonant stands on its own with its vowel unwritten, as Hindi spells "karna" करना
+    const joins = next?.type === 'consonant' && (
+      next.letter === token.letter || JOINING.includes(next.letter) || token.letter === 'स'
+    );
+
+    return joins ? `${token.letter}${VIRAMA}` : token.letter;
+  }).join('');
+};
+
+// Each word, with its punctuation
+
+const transliterateWord = (word, script, { isHindi = false } = {}) => {
+  if (script === 'roman') {
+    return word
+      .replace(DEVANAGARI_RUN, (run) => ROMAN_BY_WORD.get(run.normalize('NFC')) || romanizeRun(run))
+      .replace(/[।॥]/g, '.');
+  }
+
+  if (DEVANAGARI.test(word)) {
+    return word;
+  }
+
+  // Only the letters change; leading and trailing punctuation stay
+  return word.replace(/^([^\p{L}]*)(\p{L}+)([^\p{L}]*)$/u, (token, leading, letters, trailing) => {
+    const lower = letters.toLowerCase();
+    const known = (isHindi ? HINDI_BY_WORD : DEVANAGARI_BY_WORD).get(lower);
+    const converted = known || (isHindi && toDevanagariWord(lower));
+
+    return converted ? `${leading}${converted}${trailing.replace(/\.$/, '।')}` : token;
+  });
+};
+
+// Convert text word by word. Latin words only become Devanagari when they are common Hinglish words.
+export const transliterateText = (text, script) => text.split(/(\s+)/)
+  .map((part) => (/^\s*$/.test(part) ? part : transliterateWord(part, script)))
+  .join('');
+
+// Convert a caption track into a script. Each word keeps its timing; English words are left alone.
+// A Latin word counts as Hindi when it is a common Hinglish word or the transcription tagged it "hi".
+export const transliterateCaptions = (captions, script) => {
+  if (!SCRIPTS.includes(script)) {
+    throw new Error(`Unknown script: ${script}`);
+  }
+
+  return captions.map((caption) => {
+    const words = caption.words?.map((word) => ({
+      ...word,
+      word: transliterateWord(word.word, script, { isHindi: word.language === 'hi' })
+    }));
+
+    // The text follows the words when they line up, so both spell each word the same way
+    const textWords = caption.text.trim().split(/\s+/);
+    const text = words && words.length === textWords.length
+      ? words.map((word) => word.word.trim()).join(' ')
+      : transliterateText(caption.text, script);
+
+    return { ...caption, text, ...(words && { words }) };
+  });
+};
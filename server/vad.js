@@ -0,0 +1,166 @@
+import fs from 'fs-extra';
+import { readWavHeader } from './wav.js';
+
+// Voice-activity detection over the 16 kHz mono WAV from extractAudioFromVideo, used to pull caption
+// in/out points onto actual speech. A simple energy detector: quiet frames are silence.
+
+export const DEFAULT_VAD_OPTIONS = {
+  thresholdDb: -40, // frames quieter than this (dBFS) are silence
+  frameDuration: 0.03, // seconds per analysis frame
+  minSilence: 0.3, // shorter silences are bridged
+  minSpeech: 0.1, // shorter bursts are treated as noise
+  padding: 0.15, // kept before and after speech when trimming a caption
+  splitPause: 0.8 // a silence this long inside a caption splits it
+};
+
+const resolveOptions = (options = {}) => Object.fromEntries(
+  Object.entries(DEFAULT_VAD_OPTIONS).map(([key, fallback]) => {
+    const value = Number(options[key]);
+    // thresholdDb is negative, everything else must be positive
+    const valid = key === 'thresholdDb' ? Number.isFinite(value) && value < 0 : Number.isFinite(value) && value > 0;
+    return [key, valid ? value : fallback];
+  })
+);
+
+// Loudness in dBFS of each frame, streamed so long recordings don't have to fit in memory
+const measureFrameLevels = async (audioPath, frameDuration) => {
+  const { channels, sampleRate, dataOffset } = await readWavHeader(audioPath);
+  const frameBytes = Math.max(1, Math.round(sampleRate * frameDuration)) * channels * 2;
+  const levels = [];
+  let leftover = Buffer.alloc(0);
+
+  const measure = (frame) => {
+    let sumOfSquares = 0;
+    const samples = frame.length / 2;
+
+    for (let i = 0; i < frame.length; i += 2) {
+      const sample = frame.readInt16LE(i) / 32768;
+      sumOfSquares += sample * sample;
+    }
+
+    const rms = Math.sqrt(sumOfSquares / samples);
+    levels.push(rms > 0 ? 20 * Math.log10(rms) : -Infinity);
+  };
+
+  await new Promise((resolve, reject) => {
+    fs.createReadStream(audioPath, { start: dataOffset })
+      .on('data', (chunk) => {
+        const data = leftover.length > 0 ? Buffer.concat([leftover, chunk]) : chunk;
+        let offset = 0;
+
+        for (; offset + frameBytes <= data.length; offset += frameBytes) {
+          measure(data.subarray(offset, offset + frameBytes));
+        }
+
+        leftover = data.subarray(offset);
+      })
+      .on('end', resolve)
+      .on('error', reject);
+  });
+
+  // Whole samples only
+  if (leftover.length >= 2) {
+    measure(leftover.subarray(0, leftover.length - (leftover.length % 2)));
+  }
+
+  return levels;
+};
+
+// Speech regions as [{ start, end }] in seconds
+export const detectSpeech = async (audioPath, options = {}) => {
+  const settings = resolveOptions(options);
+  const levels = await measureFrameLevels(audioPath, settings.frameDuration);
+  const regions = [];
+
+  levels.forEach((level, index) => {
+    if (level < settings.thresholdDb) return;
+
+    const start = index * settings.frameDuration;
+    const end = start + settings.frameDuration;
+    const last = regions[regions.length - 1];
+
+    if (last && start - last.end < settings.minSilence) {
+      last.end = end;
+    } else {
+      regions.push({ start, end });
+    }
+  });
+
+  return regions.filter((region) => region.end - region.start >= settings.minSpeech);
+};
+
+// Group speech regions into clusters separated by pauses of at least splitPause
+const clusterRegions = (regions, splitPause) => regions.reduce((clusters, region) => {
+  const last = clusters[clusters.length - 1];
+
+  if (last && region.start - last[last.length - 1].end < splitPause) {
+    last.push(region);
+  } else {
+    clusters.push([region]);
+  }
+
+  return clusters;
+}, []);
+
+// Keep the real timings of words inside the new bounds; clamp those that spill over the edges
+const fitWords = (words, start, end) => words.map((word) => {
+  if (word.start >= start - 0.001 && word.end <= end + 0.001) {
+    return word;
+  }
+
+  const wordStart = Math.min(Math.max(word.start, start), end);
+  return { ...word, start: wordStart, end: Math.min(Math.max(word.end, wordStart), end) };
+});
+
+// Trim each caption to the speech inside it and split captions that run across long pauses.
+// Captions with no detected speech are left alone; quiet speech is better shown late than not at all.
+export const applySpeechRegions = (captions, regions, options = {}) => {
+  const settings = resolveOptions(options);
+
+  const trim = (caption, speech) => ({
+    start: Math.max(caption.start, speech[0].start - settings.padding),
+    end: Math.min(caption.end, speech[speech.length - 1].end + settings.padding)
+  });
+
+  const output = captions.flatMap((caption) => {
+    const inside = regions.filter((region) => region.end > caption.start && region.start < caption.end);
+
+    if (inside.length === 0) {
+      return [caption];
+    }
+
+    if (!caption.words || caption.words.length === 0) {
+      return [{ ...caption, ...trim(caption, inside) }];
+    }
+
+    // Each word goes with the stretch of speech its middle falls in (or the one before it)
+    const clusters = clusterRegions(inside, settings.splitPause);
+    const groups = clusters.map(() => []);
+
+    caption.words.forEach((word) => {
+      const middle = (word.start + word.end) / 2;
+      const index = clusters.findLastIndex((cluster, clusterIndex) => (
+        clusterIndex === 0 || middle >= cluster[0].start - settings.padding
+      ));
+      groups[index].push(word);
+    });
+
+    const parts = clusters
+      .map((cluster, index) => ({ cluster, words: groups[index] }))
+      .filter(({ words }) => words.length > 0);
+
+    return parts.map(({ cluster, words }) => {
+      const { start, end } = trim(caption, cluster);
+
+      return {
+        ...caption,
+        start,
+        end,
+        text: parts.length > 1 ? words.map((word) => word.word).join(' ') : caption.text,
+        words: fitWords(words, start, end)
+      };
+    });
+  });
+
+  return output.map((caption, index) => ({ ...caption, id: index + 1 }));
+};
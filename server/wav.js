@@ -0,0 +1,101 @@
+import fs from 'fs-extra';
+import { pipeline } from 'stream/promises';
+
+// 16-bit PCM WAV files, as written by extractAudioFromVideo
+
+// Find the sample rate, channel count and where the samples start in a PCM WAV file
+export const readWavHeader = async (audioPath) => {
+  const handle = await fs.open(audioPath, 'r');
+
+  try {
+    const { buffer, bytesRead } = await fs.read(handle, Buffer.alloc(4096), 0, 4096, 0);
+    const header = buffer.subarray(0, bytesRead);
+
+    if (header.toString('ascii', 0, 4) !== 'RIFF' || header.toString('ascii', 8, 12) !== 'WAVE') {
+      throw new Error('Not a WAV file');
+    }
+
+    let format = null;
+    let offset = 12;
+
+    while (offset + 8 <= header.length) {
+      const chunkId = header.toString('ascii', offset, offset + 4);
+      const chunkSize = header.readUInt32LE(offset + 4);
+
+      if (chunkId === 'fmt ') {
+        format = {
+          channels: header.readUInt16LE(offset + 10),
+          sampleRate: header.readUInt32LE(offset + 12),
+          bitsPerSample: header.readUInt16LE(offset + 22)
+        };
+      } else if (chunkId === 'data') {
+        if (!format || format.bitsPerSample !== 16) {
+          throw new Error('Only 16-bit PCM WAV files are supported');
+        }
+        return { ...format, dataOffset: offset + 8 };
+      }
+
+      offset += 8 + chunkSize + (chunkSize % 2);
+    }
+
+    throw new Error('WAV file has no data chunk');
+  } finally {
+    await fs.close(handle);
+  }
+};
+
+const getBytesPerSecond = ({ channels, sampleRate }) => sampleRate * channels * 2;
+
+// Length in seconds. Taken from the file size, since ffmpeg can't fill in the data chunk size when it streams.
+export const getWavDuration = async (audioPath) => {
+  const header = await readWavHeader(audioPath);
+  const { size } = await fs.stat(audioPath);
+
+  return (size - header.dataOffset) / getBytesPerSecond(header);
+};
+
+const createWavHeader = ({ channels, sampleRate }, dataSize) => {
+  const header = Buffer.alloc(44);
+
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + dataSize, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * channels * 2, 28);
+  header.writeUInt16LE(channels * 2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(dataSize, 40);
+
+  return header;
+};
+
+// Copy the samples between start and end (seconds) into a WAV file of their own
+export const writeWavSegment = async (audioPath, outputPath, start, end) => {
+  const header = await readWavHeader(audioPath);
+  const { size } = await fs.stat(audioPath);
+  const frameSize = header.channels * 2;
+  const bytesPerSecond = getBytesPerSecond(header);
+  const toByte = (seconds) => Math.min(
+    size,
+    header.dataOffset + Math.round((seconds * bytesPerSecond) / frameSize) * frameSize
+  );
+
+  const from = toByte(start);
+  const to = toByte(end);
+
+  await fs.writeFile(outputPath, createWavHeader(header, to - from));
+
+  if (to > from) {
+    await pipeline(
+      fs.createReadStream(audioPath, { start: from, end: to - 1 }),
+      fs.createWriteStream(outputPath, { flags: 'a' })
+    );
+  }
+
+  return outputPath;
+};
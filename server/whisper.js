@@ -0,0 +1,101 @@
+import fs from 'fs-extra';
+
+// Reading whisper.cpp's --output-json-full output: token-level timings merged back into words
+
+// Control tokens such as [_BEG_], [_TT_150] or <|endoftext|> carry no text
+const SPECIAL_TOKEN = /^\s*(\[_[A-Z0-9_]+\]|<\|[^|]*\|>)\s*$/;
+
+const SENTENCE_END = /[.!?।॥…]["'”’)]*$/;
+
+// whisper.cpp writes token text as raw bytes, so a Devanagari character can be split across two tokens.
+// Reading the file as latin1 keeps one char per byte; words are decoded as UTF-8 once all their tokens are joined.
+export const readWhisperJson = async (jsonPath) => JSON.parse(await fs.readFile(jsonPath, 'latin1'));
+
+const decodeBytes = (text) => Buffer.from(text, 'latin1').toString('utf8');
+
+// Merge subword tokens into words. A token that starts with a space begins a new word; anything else
+// (word pieces, punctuation) is glued onto the word before it. Returns null when the output has no tokens.
+export const getWhisperWords = (transcription) => {
+  const segments = transcription.transcription || [];
+
+  if (!segments.some((segment) => Array.isArray(segment.tokens))) {
+    return null;
+  }
+
+  const words = [];
+  let current = null;
+
+  const finishWord = () => {
+    if (current) {
+      const word = decodeBytes(current.text).trim();
+      if (word) {
+        words.push({
+          word,
+          start: current.start,
+          end: current.end,
+          probability: current.probabilities.length > 0
+            ? current.probabilities.reduce((sum, p) => sum + p, 0) / current.probabilities.length
+            : null
+        });
+      }
+      current = null;
+    }
+  };
+
+  segments.forEach((segment) => {
+    (segment.tokens || []).forEach((token) => {
+      if (!token.text || SPECIAL_TOKEN.test(decodeBytes(token.text))) {
+        return;
+      }
+
+      const start = (token.offsets?.from ?? segment.offsets?.from ?? 0) / 1000;
+      const end = (token.offsets?.to ?? segment.offsets?.to ?? 0) / 1000;
+
+      if (!current || /^\s/.test(token.text)) {
+        finishWord();
+        current = { text: '', start, end, probabilities: [] };
+      }
+
+      current.text += token.text;
+      current.end = Math.max(current.end, end);
+      if (typeof token.p === 'number') {
+        current.probabilities.push(token.p);
+      }
+    });
+
+    // With --split-on-word segments always end on a word boundary
+    finishWord();
+  });
+
+  return words;
+};
+
+// Group words into sentence-sized segments so caption segmentation sees the sentence boundaries,
+// not the one-word segments that -ml 1 produces
+export const groupWhisperWords = (words) => {
+  const segments = [];
+  let current = [];
+
+  words.forEach((word) => {
+    current.push(word);
+
+    if (SENTENCE_END.test(word.word)) {
+      segments.push(current);
+      current = [];
+    }
+  });
+
+  if (current.length > 0) {
+    segments.push(current);
+  }
+
+  return segments.map((segmentWords) => ({
+    start: segmentWords[0].start,
+    end: segmentWords[segmentWords.length - 1].end,
+    text: segmentWords.map((word) => word.word).join(' '),
+    words: segmentWords
+  }));
+};
+
+// Segment text is raw bytes too
+export const getWhisperSegmentText = (segment) => decodeBytes(segment.text || '').trim();
@@ -0,0 +1,77 @@
+// Word timing estimates for engines and subtitle files that only time whole segments.
+// A segment's duration is shared out by how long each word takes to say, roughly its syllable count,
+// with short pauses after punctuation.
+
+const SENTENCE_END = /[.!?।॥…]["'”’)]*$/;
+const CLAUSE_END = /[,;:—–]["'”’)]*$/;
+
+// Pauses, in syllables
+const SENTENCE_PAUSE = 1.5;
+const CLAUSE_PAUSE = 0.75;
+
+// Devanagari aksharas: an independent vowel, or a consonant that isn't joined to the next one by a virama
+const DEVANAGARI_SYLLABLE = /[\u0904-\u0914\u0960\u0961]|[\u0915-\u0939\u0958-\u095F](?!\u094D)/g;
+
+// Latin vowel groups, with a silent final "e" ("make", not "the")
+const LATIN_VOWEL_GROUP = /[aeiouy]+/gi;
+const SILENT_E = /[^aeiouy]e$/i;
+
+const LATIN = /[a-z]/i;
+const DIGIT = /\d/g;
+
+const graphemeSegmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+const countLatinSyllables = (text) => {
+  const letters = text.replace(/[^a-z]/gi, '');
+  if (!letters) {
+    return 0;
+  }
+
+  const groups = (letters.match(LATIN_VOWEL_GROUP) || []).length;
+  return Math.max(1, groups - (groups > 1 && SILENT_E.test(letters) ? 1 : 0));
+};
+
+// Rough spoken length of a word in syllables. Mixed words ("AI-वाला") add up both scripts;
+// other scripts fall back to grapheme clusters.
+const countSyllables = (word) => {
+  const devanagari = (word.match(DEVANAGARI_SYLLABLE) || []).length;
+  const latin = LATIN.test(word) ? countLatinSyllables(word) : 0;
+  const digits = (word.match(DIGIT) || []).length;
+
+  if (devanagari + latin + digits > 0) {
+    return devanagari + latin + digits;
+  }
+
+  const clusters = [...graphemeSegmenter.segment(word)].filter(({ segment }) => /[\p{L}\p{N}]/u.test(segment));
+  return Math.max(1, clusters.length);
+};
+
+const getPause = (word) => {
+  if (SENTENCE_END.test(word)) return SENTENCE_PAUSE;
+  if (CLAUSE_END.test(word)) return CLAUSE_PAUSE;
+  return 0;
+};
+
+// Split text into words timed between start and end
+export const estimateWordTimings = (text, start, end) => {
+  const words = (text || '').split(/\s+/).filter((word) => word.length > 0);
+
+  if (words.length === 0) {
+    return [];
+  }
+
+  const weights = words.map(countSyllables);
+  // No pause after the last word: the segment end already marks it
+  const pauses = words.map((word, index) => (index < words.length - 1 ? getPause(word) : 0));
+  const total = [...weights, ...pauses].reduce((sum, value) => sum + value, 0);
+  const unit = Math.max(end - start, 0) / total;
+
+  let cursor = start;
+  return words.map((word, index) => {
+    const wordStart = cursor;
+    const wordEnd = wordStart + weights[index] * unit;
+    cursor = wordEnd + pauses[index] * unit;
+
+    return { word, start: wordStart, end: wordEnd };
+  });
+};
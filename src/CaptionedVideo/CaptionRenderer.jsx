@@ -1,59 +1,23 @@
 import React, { useMemo } from 'react';
 import { AbsoluteFill, interpolate, useCurrentFrame, useVideoConfig } from 'remotion';
+import { FONT_FAMILIES, KARAOKE_HIGHLIGHT_COLOR, LOW_CONFIDENCE_COLOR, POSITION_OFFSETS, PRESET_STYLES, SOUND_CUE_STYLE, TRANSLATION_STYLE, getPresetKey } from './presets';
+import { breakIntoLines, createLineMeasurer, getMaxTextWidth } from './lineBreaking';
 
-const FONT_FAMILIES = {
-  hinglish: '"Noto Sans Devanagari", "Noto Sans", sans-serif',
-  english: '"Noto Sans", sans-serif',
-};
+// Space between karaoke words, which are inline blocks rather than spaced text
+const KARAOKE_WORD_GAP = 8;
 
-const PRESET_STYLES = {
-  'bottom-centered': {
-    position: 'bottom',
-    background: 'rgba(0, 0, 0, 0.7)',
-    padding: '12px 24px',
-    borderRadius: '8px',
-    maxWidth: '80%',
-    textAlign: 'center',
-    fontSize: '32px',
-    fontWeight: '600',
-    color: 'white',
-    lineHeight: '1.2',
-  },
-  'top-bar': {
-    position: 'top',
-    background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
-    padding: '16px 32px',
-    borderRadius: '0 0 12px 12px',
-    width: '100%',
-    textAlign: 'center',
-    fontSize: '28px',
-    fontWeight: '700',
-    color: 'white',
-    lineHeight: '1.3',
-    boxShadow: '0 4px 20px rgba(0, 0, 0, 0.3)',
-  },
-  'karaoke': {
-    position: 'bottom',
-    background: 'rgba(0, 0, 0, 0.8)',
-    padding: '16px 32px',
-    borderRadius: '12px',
-    maxWidth: '90%',
-    textAlign: 'center',
-    fontSize: '36px',
-    fontWeight: '700',
-    color: 'white',
-    lineHeight: '1.2',
-    border: '2px solid #ffd700',
-  },
+const DEFAULT_MAX_LINES = 2;
+
+// Shadows only show in the rendered video; ASS subtitles have no way to draw one, so it isn't part of the preset
+const PRESET_SHADOWS = {
+  'top-bar': '0 4px 20px rgba(0, 0, 0, 0.3)',
 };
 
-export const CaptionRenderer = ({ caption, preset, currentWordData, currentTime }) => {
+export const CaptionRenderer = ({ caption, preset, currentWordData, currentTime, fontsReady = false, speaker = null, speakerLabels = 'both', translation = null, confidenceThreshold = null }) => {
   const frame = useCurrentFrame();
   const { fps, width, height } = useVideoConfig();
   
-  const presetKey = Object.keys(PRESET_STYLES).includes(preset.style) 
-    ? preset.style 
-    : 'bottom-centered';
+  const presetKey = getPresetKey(preset);
   
   const style = PRESET_STYLES[presetKey];
   
@@ -71,6 +35,96 @@ export const CaptionRenderer = ({ caption, preset, currentWordData, currentTime
     return devanagariRegex.test(caption.text);
   }, [caption.text]);
 
+  const fontFamily = containsHindi ? FONT_FAMILIES.hinglish : FONT_FAMILIES.english;
+  const translationFontFamily = translation && /[\u0900-\u097F]/.test(translation.text)
+    ? FONT_FAMILIES.hinglish
+    : FONT_FAMILIES.english;
+  const translationFontSize = parseFloat(style.fontSize) * TRANSLATION_STYLE.fontScale;
+  // Sound cues ([music]) are not spoken, so they are never sung along to in karaoke
+  const isSoundCue = Boolean(caption.sound);
+  const isKaraoke = presetKey === 'karaoke' && !isSoundCue && caption.words && caption.words.length > 0;
+
+  // Who is speaking, as a color for the text and/or a "Name:" prefix
+  const speakerColor = speaker && ['color', 'both'].includes(speakerLabels) ? speaker.color : null;
+  const speakerPrefix = speaker && ['name', 'both'].includes(speakerLabels) ? `${speaker.name}:` : null;
+
+  // Words to lay out: the timed words in karaoke, otherwise the caption text. The speaker prefix is laid out as the first word.
+  const words = useMemo(() => {
+    const captionWords = isKaraoke
+      ? caption.words.map((word) => word.word.trim())
+      : caption.text.trim().split(/\s+/).filter((word) => word.length > 0);
+
+    return speakerPrefix ? [speakerPrefix, ...captionWords] : captionWords;
+  }, [isKaraoke, caption.words, caption.text, speakerPrefix]);
+
+  // Index of the first caption word in words
+  const wordOffset = speakerPrefix ? 1 : 0;
+
+  // Indexes into caption.words of the words to flag for review. Outside karaoke, the text is only
+  // flagged when its words are still the timed ones, one for one.
+  const lowConfidence = useMemo(() => {
+    if (confidenceThreshold === null || !caption.words) {
+      return new Set();
+    }
+
+    if (!isKaraoke && caption.words.length !== words.length - wordOffset) {
+      return new Set();
+    }
+
+    return new Set(caption.words
+      .map((word, index) => (typeof word.probability === 'number' && word.probability < confidenceThreshold ? index : null))
+      .filter((index) => index !== null));
+  }, [confidenceThreshold, caption.words, isKaraoke, words, wordOffset]);
+
+  const lowConfidenceStyle = {
+    textDecoration: 'underline wavy',
+    textDecorationColor: LOW_CONFIDENCE_COLOR,
+    textDecorationThickness: '3px',
+  };
+
+  const prefixStyle = {
+    color: speaker ? speaker.color : undefined,
+    fontWeight: '700',
+  };
+
+  // Balanced line breaks, measured with the caption font at its real size
+  const lines = useMemo(() => {
+    const measureLine = createLineMeasurer({
+      fontFamily,
+      fontSize: parseFloat(style.fontSize),
+      fontWeight: style.fontWeight,
+      fontsReady,
+      wordGap: isKaraoke ? KARAOKE_WORD_GAP : null,
+    });
+
+    return breakIntoLines(words, {
+      maxWidth: getMaxTextWidth(style, width),
+      maxLines: (preset && preset.maxLines) || DEFAULT_MAX_LINES,
+      measureLine,
+    });
+  }, [words, fontFamily, style, width, preset, fontsReady, isKaraoke]);
+
+  // The translation gets the same balanced line breaks at its own, smaller size
+  const translationLines = useMemo(() => {
+    if (!translation) {
+      return [];
+    }
+
+    const translationWords = translation.text.trim().split(/\s+/).filter((word) => word.length > 0);
+    const measureLine = createLineMeasurer({
+      fontFamily: translationFontFamily,
+      fontSize: translationFontSize,
+      fontWeight: TRANSLATION_STYLE.fontWeight,
+      fontsReady,
+    });
+
+    return breakIntoLines(translationWords, {
+      maxWidth: getMaxTextWidth(style, width),
+      maxLines: (preset && preset.maxLines) || DEFAULT_MAX_LINES,
+      measureLine,
+    }).map(([start, end]) => translationWords.slice(start, end).join(' '));
+  }, [translation, translationFontFamily, translationFontSize, style, width, preset, fontsReady]);
+
   // Position calculations
   const getPositionStyle = () => {
     const baseStyle = {
@@ -88,7 +142,7 @@ export const CaptionRenderer = ({ caption, preset, currentWordData, currentTime
           top: 0,
           left: 0,
           right: 0,
-          paddingTop: '40px',
+          paddingTop: `${POSITION_OFFSETS.top}px`,
         };
       case 'bottom':
       default:
@@ -97,55 +151,89 @@ export const CaptionRenderer = ({ caption, preset, currentWordData, currentTime
           bottom: 0,
           left: 0,
           right: 0,
-          paddingBottom: '80px',
+          paddingBottom: `${POSITION_OFFSETS.bottom}px`,
         };
     }
   };
 
   // Render karaoke-style text with word highlighting
-  const renderKaraokeText = () => {
-    if (!caption.words || caption.words.length === 0) {
-      return <span>{caption.text}</span>;
-    }
+  const renderKaraokeLine = ([start, end]) => (
+    <div key={start}>
+      {start < wordOffset && (
+        <span style={{ ...prefixStyle, display: 'inline-block', marginRight: `${KARAOKE_WORD_GAP}px` }}>
+          {speakerPrefix}
+        </span>
+      )}
+      {caption.words.slice(Math.max(0, start - wordOffset), end - wordOffset).map((word, offset) => {
+        const index = Math.max(0, start - wordOffset) + offset;
+        const isActive = currentWordData && currentWordData.word === word.word;
+        const wordStyle = {
+          color: isActive ? KARAOKE_HIGHLIGHT_COLOR : speakerColor || 'white',
+          textShadow: isActive 
+            ? `0 0 10px ${KARAOKE_HIGHLIGHT_COLOR}, 0 0 20px ${KARAOKE_HIGHLIGHT_COLOR}` 
+            : '2px 2px 4px rgba(0, 0, 0, 0.8)',
+          transition: 'all 0.1s ease',
+          transform: isActive ? 'scale(1.1)' : 'scale(1)',
+          display: 'inline-block',
+          marginRight: `${KARAOKE_WORD_GAP}px`,
+          ...(lowConfidence.has(index) && lowConfidenceStyle),
+        };
+
+        return (
+          <span key={`${word.word}-${index}`} style={wordStyle}>
+            {word.word}
+          </span>
+        );
+      })}
+    </div>
+  );
 
-    return (
-      <span>
-        {caption.words.map((word, index) => {
-          const isActive = currentWordData && currentWordData.word === word.word;
-          const wordStyle = {
-            color: isActive ? '#ffd700' : 'white',
-            textShadow: isActive 
-              ? '0 0 10px #ffd700, 0 0 20px #ffd700' 
-              : '2px 2px 4px rgba(0, 0, 0, 0.8)',
-            transition: 'all 0.1s ease',
-            transform: isActive ? 'scale(1.1)' : 'scale(1)',
-            display: 'inline-block',
-            marginRight: '8px',
-          };
+  // Lines are drawn explicitly; the browser never wraps caption text on its own
+  const renderLine = ([start, end]) => (
+    <div key={start}>
+      {start < wordOffset && <span style={prefixStyle}>{speakerPrefix} </span>}
+      {lowConfidence.size === 0
+        ? words.slice(Math.max(start, wordOffset), end).join(' ')
+        : words.slice(Math.max(start, wordOffset), end).map((word, offset) => {
+          const index = Math.max(start, wordOffset) + offset - wordOffset;
 
           return (
-            <span key={`${word.word}-${index}`} style={wordStyle}>
-              {word.word}
-            </span>
+            <React.Fragment key={index}>
+              {offset > 0 && ' '}
+              <span style={lowConfidence.has(index) ? lowConfidenceStyle : undefined}>{word}</span>
+            </React.Fragment>
           );
         })}
-      </span>
-    );
-  };
+    </div>
+  );
 
   const captionStyle = {
     ...style,
-    fontFamily: containsHindi ? FONT_FAMILIES.hinglish : FONT_FAMILIES.english,
+    fontFamily,
+    ...(speakerColor && { color: speakerColor }),
+    ...(isSoundCue && SOUND_CUE_STYLE),
+    boxShadow: PRESET_SHADOWS[presetKey],
     textShadow: presetKey !== 'karaoke' ? '2px 2px 4px rgba(0, 0, 0, 0.8)' : undefined,
-    wordWrap: 'break-word',
-    overflowWrap: 'break-word',
-    hyphens: 'auto',
+    whiteSpace: 'nowrap',
+  };
+
+  const translationStyle = {
+    fontFamily: translationFontFamily,
+    fontSize: `${translationFontSize}px`,
+    fontWeight: TRANSLATION_STYLE.fontWeight,
+    color: TRANSLATION_STYLE.color,
+    marginTop: `${TRANSLATION_STYLE.gap}px`,
   };
 
   return (
     <AbsoluteFill style={getPositionStyle()}>
       <div style={captionStyle}>
-        {presetKey === 'karaoke' ? renderKaraokeText() : caption.text}
+        {lines.map(isKaraoke ? renderKaraokeLine : renderLine)}
+        {translationLines.length > 0 && (
+          <div style={translationStyle}>
+            {translationLines.map((line, index) => <div key={index}>{line}</div>)}
+          </div>
+        )}
       </div>
     </AbsoluteFill>
   );
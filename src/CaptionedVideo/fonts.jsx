@@ -0,0 +1,44 @@
+import { useEffect, useState } from 'react';
+import { continueRender, delayRender } from 'remotion';
+
+// Faces loaded by src/index.css that captions are measured and drawn with
+const CAPTION_FONTS = [
+  '400 32px "Noto Sans"',
+  '600 32px "Noto Sans"',
+  '700 32px "Noto Sans"',
+  '400 32px "Noto Sans Devanagari"',
+  '600 32px "Noto Sans Devanagari"',
+  '700 32px "Noto Sans Devanagari"',
+];
+
+// Only a browser with the CSS Font Loading API can load them
+const canLoadFonts = () => typeof document !== 'undefined' && Boolean(document.fonts);
+
+// Sample text so the browser fetches the Devanagari subset, not just Latin
+const SAMPLE_TEXT = 'Aa क्ष';
+
+// Hold rendering until the caption fonts are loaded, so line widths are measured with the real glyphs.
+// The hold is taken as the hook first runs, before Remotion can capture a frame, and released in the effect.
+export const useCaptionFontsReady = () => {
+  const [handle] = useState(() => (canLoadFonts() ? delayRender('Loading caption fonts') : null));
+  const [fontsReady, setFontsReady] = useState(handle === null);
+
+  useEffect(() => {
+    if (handle === null) {
+      return undefined;
+    }
+
+    Promise.all(CAPTION_FONTS.map((font) => document.fonts.load(font, SAMPLE_TEXT)))
+      .catch((error) => {
+        console.warn('Could not load caption fonts, line breaks may be off:', error);
+      })
+      .finally(() => {
+        setFontsReady(true);
+        continueRender(handle);
+      });
+
+    return undefined;
+  }, [handle]);
+
+  return fontsReady;
+};
@@ -8,15 +8,18 @@ import {
   Sequence,
 } from 'remotion';
 import { CaptionRenderer } from './CaptionRenderer';
+import { useCaptionFontsReady } from './fonts';
+import { DEFAULT_SPEAKER_LABELS } from './presets';
 
-export const CaptionedVideo = ({ videoSrc, captions = [], preset = {} }) => {
+export const CaptionedVideo = ({ videoSrc, captions = [], preset = {}, speakers = {}, speakerLabels = DEFAULT_SPEAKER_LABELS, secondaryCaptions = [], confidenceThreshold = null }) => {
   const frame = useCurrentFrame();
   const { fps } = useVideoConfig();
+  const fontsReady = useCaptionFontsReady();
   
   // Try to load props from localStorage if not provided
   const actualProps = useMemo(() => {
     if (videoSrc && captions.length > 0) {
-      return { videoSrc, captions, preset };
+      return { videoSrc, captions, preset, speakers, speakerLabels, secondaryCaptions, confidenceThreshold };
     }
     
     // Try to load from localStorage (set by upload interface)
@@ -27,15 +30,19 @@ export const CaptionedVideo = ({ videoSrc, captions = [], preset = {} }) => {
         return {
           videoSrc: parsed.videoSrc || videoSrc,
           captions: parsed.captions || captions,
-          preset: parsed.preset || preset
+          preset: parsed.preset || preset,
+          speakers: parsed.speakers || speakers,
+          speakerLabels: parsed.speakerLabels || speakerLabels,
+          secondaryCaptions: parsed.secondaryCaptions || secondaryCaptions,
+          confidenceThreshold: parsed.confidenceThreshold ?? confidenceThreshold,
         };
       }
     } catch (error) {
       console.warn('Could not load props from localStorage:', error);
     }
     
-    return { videoSrc, captions, preset };
-  }, [videoSrc, captions, preset]);
+    return { videoSrc, captions, preset, speakers, speakerLabels, secondaryCaptions, confidenceThreshold };
+  }, [videoSrc, captions, preset, speakers, speakerLabels, secondaryCaptions, confidenceThreshold]);
   
   // Convert frame to seconds
   const currentTime = frame / fps;
@@ -47,6 +54,12 @@ export const CaptionedVideo = ({ videoSrc, captions = [], preset = {} }) => {
     ), [actualProps.captions, currentTime]
   );
 
+  // The second track (a translation) shows under the original caption it overlaps
+  const findTranslation = (caption) => actualProps.secondaryCaptions.find(translation =>
+    translation.start < caption.end && translation.end > caption.start &&
+    currentTime >= translation.start && currentTime <= translation.end
+  ) || null;
+
   // Get current word for karaoke effect
   const currentWordData = useMemo(() => {
     if (actualProps.preset.style !== 'karaoke' || activeCaptions.length === 0) {
@@ -96,6 +109,11 @@ export const CaptionedVideo = ({ videoSrc, captions = [], preset = {} }) => {
             preset={actualProps.preset}
             currentWordData={currentWordData}
             currentTime={currentTime}
+            fontsReady={fontsReady}
+            speaker={caption.speaker ? actualProps.speakers[caption.speaker] : null}
+            speakerLabels={actualProps.speakerLabels}
+            translation={findTranslation(caption)}
+            confidenceThreshold={actualProps.confidenceThreshold}
           />
         </Sequence>
       ))}
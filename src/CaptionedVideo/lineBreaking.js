@@ -0,0 +1,132 @@
+import { measureText } from '@remotion/layout-utils';
+
+// Breaks only ever happen between whitespace-separated words, so Devanagari conjuncts
+// and matras always stay together on one line.
+
+// Line ends that read naturally
+const PUNCTUATION_END = /[,.;:!?।॥—–]["'”’)]*$/;
+
+// Words that read better at the start of a line than at the end of one
+const CONJUNCTIONS = new Set([
+  'and', 'but', 'or', 'so', 'because', 'that', 'which', 'while', 'with',
+  'और', 'या', 'लेकिन', 'पर', 'कि', 'तो', 'क्योंकि', 'जो',
+  'aur', 'ya', 'lekin', 'par', 'ki', 'toh', 'kyunki',
+]);
+
+// Hindi postpositions belong to the word before them ("भारत के", "घर में"), so read better ending a line
+const POSTPOSITIONS = new Set([
+  'के', 'की', 'का', 'को', 'से', 'में', 'तक', 'ने',
+  'ke', 'ka', 'ko', 'mein', 'tak',
+]);
+
+const OVERFLOW_COST = 1000;
+const ORPHAN_COST = 20;
+const PUNCTUATION_BONUS = 4;
+const CONJUNCTION_BONUS = 2;
+const POSTPOSITION_BONUS = 2;
+
+const normalizeWord = (word) => word.toLowerCase().replace(/[^\p{L}\p{M}]/gu, '');
+
+// Cost of a line ending at `end` (exclusive). Lower is better.
+const getLineCost = ({ words, start, end, width, targetWidth, maxWidth, isLast }) => {
+  const lineLength = end - start;
+  let cost = 100 * ((width - targetWidth) / maxWidth) ** 2;
+
+  if (width > maxWidth && lineLength > 1) {
+    cost += OVERFLOW_COST * (1 + (width - maxWidth) / maxWidth);
+  }
+
+  // A single word left on its own line looks like a mistake
+  if (lineLength === 1 && words.length > 2) {
+    cost += ORPHAN_COST;
+  }
+
+  if (!isLast) {
+    if (PUNCTUATION_END.test(words[end - 1])) {
+      cost -= PUNCTUATION_BONUS;
+    }
+    if (CONJUNCTIONS.has(normalizeWord(words[end]))) {
+      cost -= CONJUNCTION_BONUS;
+    }
+    if (POSTPOSITIONS.has(normalizeWord(words[end - 1]))) {
+      cost -= POSTPOSITION_BONUS;
+    }
+  }
+
+  return cost;
+};
+
+// Best split of the words into exactly `lineCount` lines, as [start, end) index pairs
+const findBestLayout = (words, lineCount, measureLine, maxWidth) => {
+  const totalWidth = measureLine(words);
+  const targetWidth = Math.min(totalWidth / lineCount, maxWidth);
+
+  // best[k][j]: cheapest layout of the first j words into k lines
+  const best = Array.from({ length: lineCount + 1 }, () => new Array(words.length + 1).fill(null));
+  best[0][0] = { cost: 0, lines: [] };
+
+  for (let k = 1; k <= lineCount; k++) {
+    for (let j = k; j <= words.length; j++) {
+      for (let i = k - 1; i < j; i++) {
+        const previous = best[k - 1][i];
+        if (!previous) continue;
+
+        const width = measureLine(words.slice(i, j));
+        const cost = previous.cost + getLineCost({
+          words, start: i, end: j, width, targetWidth, maxWidth, isLast: j === words.length,
+        });
+
+        if (!best[k][j] || cost < best[k][j].cost) {
+          best[k][j] = {
+            cost,
+            lines: [...previous.lines, [i, j]],
+            overflows: previous.overflows || (width > maxWidth && j - i > 1),
+          };
+        }
+      }
+    }
+  }
+
+  return best[lineCount][words.length];
+};
+
+// Split words into at most maxLines balanced lines. Uses as few lines as fit within maxWidth.
+// Returns [start, end) word index ranges, one per line.
+export const breakIntoLines = (words, { maxWidth, maxLines = 2, measureLine }) => {
+  if (words.length <= 1 || measureLine(words) <= maxWidth) {
+    return [[0, words.length]];
+  }
+
+  const lineLimit = Math.min(maxLines, words.length);
+  let layout = null;
+
+  for (let lineCount = 2; lineCount <= lineLimit; lineCount++) {
+    layout = findBestLayout(words, lineCount, measureLine, maxWidth);
+    if (!layout.overflows) break;
+  }
+
+  return layout ? layout.lines : [[0, words.length]];
+};
+
+// Width of a line of text in the caption font. Until the fonts have loaded, fall back
+// to an estimate so measureText doesn't cache widths from a fallback font.
+export const createLineMeasurer = ({ fontFamily, fontSize, fontWeight, fontsReady, wordGap = null }) => {
+  const measure = (text) => (fontsReady
+    ? measureText({ text, fontFamily, fontSize, fontWeight }).width
+    : text.length * fontSize * 0.55);
+
+  // Karaoke words are separate inline blocks spaced by a margin instead of a space
+  if (wordGap !== null) {
+    return (words) => words.reduce((sum, word) => sum + measure(word) + wordGap, 0);
+  }
+
+  return (words) => measure(words.join(' '));
+};
+
+// Text width available inside a preset's box, in px
+export const getMaxTextWidth = (style, videoWidth) => {
+  const boxWidth = videoWidth * parseFloat(style.maxWidth || style.width || '100%') / 100;
+  const horizontalPadding = parseFloat((style.padding || '0 0').split(/\s+/)[1] ?? style.padding) || 0;
+
+  return boxWidth - 2 * horizontalPadding;
+};
@@ -0,0 +1,85 @@
+// Caption preset styles, shared by the Remotion renderer and the subtitle exporters on the server.
+// Keep this file free of JSX so Node can import it directly.
+
+export const FONT_FAMILIES = {
+  hinglish: '"Noto Sans Devanagari", "Noto Sans", sans-serif',
+  english: '"Noto Sans", sans-serif',
+};
+
+export const PRESET_STYLES = {
+  'bottom-centered': {
+    position: 'bottom',
+    background: 'rgba(0, 0, 0, 0.7)',
+    padding: '12px 24px',
+    borderRadius: '8px',
+    maxWidth: '80%',
+    textAlign: 'center',
+    fontSize: '32px',
+    fontWeight: '600',
+    color: 'white',
+    lineHeight: '1.2',
+  },
+  'top-bar': {
+    position: 'top',
+    background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+    padding: '16px 32px',
+    borderRadius: '0 0 12px 12px',
+    width: '100%',
+    textAlign: 'center',
+    fontSize: '28px',
+    fontWeight: '700',
+    color: 'white',
+    lineHeight: '1.3',
+  },
+  'karaoke': {
+    position: 'bottom',
+    background: 'rgba(0, 0, 0, 0.8)',
+    padding: '16px 32px',
+    borderRadius: '12px',
+    maxWidth: '90%',
+    textAlign: 'center',
+    fontSize: '36px',
+    fontWeight: '700',
+    color: 'white',
+    lineHeight: '1.2',
+    border: '2px solid #ffd700',
+  },
+};
+
+// Color of the active word in the karaoke preset
+export const KARAOKE_HIGHLIGHT_COLOR = '#ffd700';
+
+// A second track (a translation) stacked under the original: smaller, lighter and a little dimmer
+export const TRANSLATION_STYLE = {
+  fontScale: 0.75,
+  fontWeight: '400', // one of the weights src/index.css loads
+  color: 'rgba(255, 255, 255, 0.85)',
+  gap: 6, // px between the original and the translation
+};
+
+// Sound cues in SDH captions, such as [music] or [laughter], set apart from speech
+export const SOUND_CUE_STYLE = {
+  fontStyle: 'italic',
+  color: '#f2e8cf',
+};
+
+// Words the engine was less sure of than this are flagged for review, and underlined in the studio
+export const DEFAULT_CONFIDENCE_THRESHOLD = 0.6;
+export const LOW_CONFIDENCE_COLOR = '#ff9f1c';
+
+// Colors given to speakers in order of appearance, until a project sets its own
+export const SPEAKER_COLORS = ['#ffd166', '#06d6a0', '#4cc9f0', '#f78c6b', '#c77dff', '#ff6b9a', '#a7c957', '#f4f1de'];
+
+// How captions show who is speaking: text in the speaker's color, a "Name:" prefix, both, or nothing
+export const SPEAKER_LABEL_MODES = ['color', 'name', 'both', 'none'];
+export const DEFAULT_SPEAKER_LABELS = 'both';
+
+// Distance in px between the caption and the top or bottom edge of the frame
+export const POSITION_OFFSETS = {
+  top: 40,
+  bottom: 80,
+};
+
+export const getPresetKey = (preset = {}) => Object.keys(PRESET_STYLES).includes(preset.style)
+  ? preset.style
+  : 'bottom-centered';
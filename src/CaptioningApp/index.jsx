@@ -20,6 +20,27 @@ const CAPTION_PRESETS = {
   }
 };
 
+// Caption generation is queued on the server; resolve once the job finishes
+const waitForJob = (jobId) => new Promise((resolve, reject) => {
+  const source = new EventSource(`http://localhost:3000/api/jobs/${jobId}/events`);
+
+  // Dropped connections reconnect on their own; one the browser gives up on (the job is gone) rejects
+  source.onerror = () => {
+    if (source.readyState === EventSource.CLOSED) {
+      reject(new Error('Lost track of the job'));
+    }
+  };
+
+  source.onmessage = (message) => {
+    const event = JSON.parse(message.data);
+
+    if (['succeeded', 'failed', 'cancelled'].includes(event.status)) {
+      source.close();
+      resolve(event);
+    }
+  };
+});
+
 export const CaptioningApp = () => {
   const [video, setVideo] = useState(null);
   const [captions, setCaptions] = useState([]);
@@ -80,7 +101,14 @@ export const CaptioningApp = () => {
         throw new Error('Failed to generate captions');
       }
 
-      const result = await response.json();
+      const { job } = await response.json();
+      const finalEvent = await waitForJob(job.id);
+
+      if (finalEvent.status !== 'succeeded') {
+        throw new Error(finalEvent.error || `Job ${finalEvent.status}`);
+      }
+
+      const result = finalEvent.result;
       setCaptions(result.captions);
       
       if (result.method === 'demo') {
@@ -3,6 +3,7 @@ import { Composition } from "remotion";
 import { HelloWorld } from "./HelloWorld";
 import { Logo } from "./HelloWorld/Logo";
 import { CaptionedVideo } from "./CaptionedVideo";
+import { DEFAULT_SPEAKER_LABELS } from "./CaptionedVideo/presets";
 
 // Each <Composition> is an entry in the sidebar!
 
@@ -34,7 +35,11 @@ export const RemotionRoot = () => {
             name: 'Bottom Centered',
             position: 'bottom',
             style: 'bottom-centered'
-          }
+          },
+          speakers: {},
+          speakerLabels: DEFAULT_SPEAKER_LABELS,
+          secondaryCaptions: [],
+          confidenceThreshold: null
         }}
       />
 